@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+import {Console} from "node:console";
+import {readFile, writeFile} from "node:fs/promises";
+import {parseArgs} from "node:util";
+import Core, {MalformedConfigError} from "../js/core.js";
+import Container from "../js/container.js";
+import Patterns from "../js/patterns.js";
+import Config from "../js/serviceconfig.js";
+import Filter from "../js/filter.js";
+import Validation from "../js/validation.js";
+import Strength from "../js/strength.js";
+import Logger from "../js/logger.js";
+
+/**
+ * Command-line interface to the m41nk3y key derivation. It reads the same encrypted config as the Web application and
+ * derives identical service passwords.
+ */
+const usage = `Usage: m41nk3y [options] <command> [arguments]
+
+Commands:
+  list [query]              list services with pattern, iterations, algorithm and username
+                            matching an optional filter query such as "tag:work"
+  patterns                  list built-in and custom patterns
+  derive <service>          print the password of a service
+  add <service>             add a service to the config
+  remove <service>          remove a service from the config
+  bump <service>            increment the iterations count of a service
+  export                    write the config re-encrypted to --output or stdout
+  check                     list problems of the config such as duplicate services or unknown patterns
+  repair                    fix problems listed by check except removing services
+  strength                  list weak patterns, passwords not rotated for a year and a legacy config key
+
+Options:
+  -c, --config <file>       encrypted config file (default: $M41NK3Y_CONFIG or data/config.txt)
+  -p, --pattern <pattern>   pattern of an added service (default: ${Patterns.defaultPattern})
+  -i, --iterations <count>  iterations count of an added service (default: 1)
+  -a, --algorithm <number>  derivation algorithm of an added service (default: ${Core.latestAlgorithm})
+  -o, --output <file>       target file of export (default: stdout)
+  -h, --help                show this help
+
+The main secret is read from $M41NK3Y_SECRET, from the terminal without echo or from the first line of stdin.
+Commands add, remove, bump and repair write the config file in place.`;
+
+const {values: options, positionals} = parseArgs({
+    allowPositionals: true,
+    options: {
+        config: {type: "string", short: "c", default: process.env.M41NK3Y_CONFIG ?? "data/config.txt"},
+        pattern: {type: "string", short: "p", default: Patterns.defaultPattern},
+        iterations: {type: "string", short: "i", default: "1"},
+        algorithm: {type: "string", short: "a", default: Core.latestAlgorithm.toString()},
+        output: {type: "string", short: "o"},
+        help: {type: "boolean", short: "h", default: false}
+    }
+});
+
+Logger.console = new Console(process.stderr); // keep stdout for results, e.g. derived passwords
+
+try {
+    await main(positionals[0], positionals.slice(1).join(" ") || undefined);
+} catch (error) {
+    process.stderr.write(`m41nk3y: ${error.message}\n`);
+    process.exitCode = 1;
+}
+
+/**
+ * Runs a command on the config file.
+ *
+ * @param {string} command command to run
+ * @param {string} [serviceName] service name argument of the command or filter query of list
+ */
+async function main(command, serviceName) {
+    const commands = ["list", "patterns", "derive", "add", "remove", "bump", "export", "check", "repair",
+        "strength"];
+    if (options.help || command === undefined) {
+        process.stdout.write(usage + "\n");
+        return;
+    }
+    if (!commands.includes(command)) throw new Error(`Unknown command ${command}, see --help`);
+    if (["derive", "add", "remove", "bump"].includes(command) && serviceName === undefined) {
+        throw new Error(`Command ${command} requires a service name`);
+    }
+
+    const container = Container.parse((await readFile(options.config, "utf8")).trim().replace(/[\r\n]/g, ""));
+    const mainKey = await Core.importSecret(await readSecret());
+    let config, configKey;
+    try {
+        ({config, configKey} = await Core.decryptConfig(container, mainKey));
+    } catch (error) {
+        if (error instanceof MalformedConfigError) throw new Error("Config decrypted, but malformed: " + error.message);
+        throw new Error("Wrong main secret");
+    }
+    Config.services = config.services;
+    Config.patterns = config.patterns;
+    const issues = Validation.check(Config.document);
+    if (issues.length > 0 && !["check", "repair"].includes(command)) {
+        process.stderr.write(`m41nk3y: config has ${issues.length} problems, see command check\n`);
+    }
+
+    const customPatterns = Validation.validPatterns(Config.document); // invalid ones are reported by check
+    switch (command) {
+        case "list": {
+            const query = Filter.parse(serviceName ?? "");
+            for (const service of Config.services.filter(service => Filter.matches(service, query))) {
+                process.stdout.write(`${service.name}\t${service.pattern ?? Patterns.defaultPattern}\t`
+                    + `${service.iterations ?? 1}\tv${service.algorithm ?? 1}\t${service.username ?? ""}\n`);
+            }
+            return;
+        }
+        case "patterns":
+            for (const name of Patterns.names(customPatterns)) {
+                process.stdout.write(`${name}\t${Patterns.label(name, customPatterns)}\n`);
+            }
+            return;
+        case "derive":
+            process.stdout.write(
+                await Core.deriveServicePassword(findService(serviceName), mainKey, customPatterns) + "\n");
+            return;
+        case "add":
+            await addService(serviceName);
+            break;
+        case "remove":
+            Config.removeService(findService(serviceName).name);
+            break;
+        case "bump": {
+            const service = findService(serviceName);
+            Config.setIterations(service, (service.iterations ?? 1) + 1);
+            break;
+        }
+        case "check":
+            for (const issue of issues) process.stdout.write(`${issue.message}\tfix: ${issue.fix}\n`);
+            return;
+        case "strength":
+            for (const finding of Strength.audit(Config.document, container.kdf)) {
+                process.stdout.write(finding.message + "\n");
+            }
+            return;
+        case "repair": { // removing invalid patterns may reveal services using them
+            const repairable = () => Validation.check(Config.document).filter(issue => !issue.confirm);
+            for (let remaining = repairable(); remaining.length > 0; remaining = repairable()) {
+                for (const issue of remaining) Validation.repair(Config.document, issue);
+            }
+            for (const issue of Validation.check(Config.document)) {
+                process.stderr.write(`m41nk3y: not fixed: ${issue.message}\n`);
+            }
+            break;
+        }
+    }
+
+    const encrypted = await encrypt(container, configKey, mainKey);
+    if (command === "export" && options.output === undefined) process.stdout.write(encrypted);
+    else await writeFile(options.output ?? options.config, encrypted);
+}
+
+/**
+ * Finds a configured service by name or alias.
+ *
+ * @param {string} name service name or alias
+ * @returns {Service} configured service
+ * @throws {Error} if no service is configured with the given name
+ */
+function findService(name) {
+    const service = Config.findService(name);
+    if (service === undefined) throw new Error(`No service named ${name}`);
+    return service;
+}
+
+/**
+ * Adds a service with pattern, iterations and algorithm given as options.
+ *
+ * @param {string} name service name
+ */
+async function addService(name) {
+    const iterations = parseInt(options.iterations, 10);
+    const algorithm = parseInt(options.algorithm, 10);
+    const customPatterns = Validation.validPatterns(Config.document);
+    if (!Config.isValidServiceName(name)) throw new Error(`Invalid service name ${name}`);
+    if (Patterns.resolve(options.pattern, customPatterns) === undefined) {
+        throw new Error(`Unknown pattern ${options.pattern}`);
+    }
+    if (!(iterations >= 1)) throw new Error(`Invalid iterations count ${options.iterations}`);
+    if (algorithm !== 1 && algorithm !== 2) throw new Error(`Unknown derivation algorithm ${options.algorithm}`);
+    if (algorithm < Patterns.requiredAlgorithm(options.pattern, customPatterns)) {
+        throw new Error(`Pattern ${options.pattern} requires derivation algorithm 2`);
+    }
+    const existing = Config.findService(name);
+    if (existing !== undefined) {
+        throw new Error(existing.name === name ? `Service ${name} already exists`
+            : `Service name ${name} is an alias of service ${existing.name}`);
+    }
+    const service = Config.addService(name);
+    service.pattern = options.pattern;
+    service.iterations = iterations;
+    service.algorithm = algorithm;
+}
+
+/**
+ * Encrypts the config to a config container. Configs in legacy format or with outdated key derivation parameters
+ * are re-keyed with the current default parameters.
+ *
+ * @param {ContainerContents} container container the config was loaded from
+ * @param {CryptoKey} configKey config key derived for the container
+ * @param {CryptoKey} mainKey main key
+ * @returns {Promise<string>} config container
+ */
+async function encrypt(container, configKey, mainKey) {
+    let kdf = container.kdf;
+    if (Container.isOutdated(kdf, container.cipher.name)) {
+        ({configKey, kdf} = await Core.createConfigKey(mainKey));
+    }
+    return await Core.encryptConfig(Config.document, configKey, kdf) + "\n";
+}
+
+/**
+ * Reads the main secret from the environment, the terminal or stdin.
+ *
+ * @returns {Promise<string>} main secret
+ */
+async function readSecret() {
+    if (process.env.M41NK3Y_SECRET !== undefined) return process.env.M41NK3Y_SECRET;
+
+    const stdin = process.stdin;
+    if (!stdin.isTTY) {
+        let input = "";
+        for await (const chunk of stdin) input += chunk;
+        return input.split(/\r?\n/)[0];
+    }
+
+    process.stderr.write("main secret: ");
+    stdin.setRawMode(true);
+    stdin.setEncoding("utf8");
+    return new Promise(resolve => {
+        let secret = "";
+        const onData = input => {
+            for (const character of input) {
+                if (character === "\r" || character === "\n") {
+                    stdin.setRawMode(false);
+                    stdin.removeListener("data", onData);
+                    stdin.pause();
+                    process.stderr.write("\n");
+                    resolve(secret);
+                    return;
+                } else if (character === "\u0003") { // Ctrl+C
+                    stdin.setRawMode(false);
+                    process.stderr.write("\n");
+                    process.exit(130);
+                } else if (character === "\u007f" || character === "\b") {
+                    secret = secret.slice(0, -1);
+                } else {
+                    secret += character;
+                }
+            }
+        };
+        stdin.on("data", onData);
+    });
+}
@@ -0,0 +1,95 @@
+/**
+ * Locks the application after a period without user activity or after the page has been hidden for a while. Timers of
+ * hidden pages are throttled by browsers, so elapsed times are checked again when the page becomes visible.
+ */
+export default class AutoLock {
+    /**
+     * Starts watching for inactivity. Calling it again restarts watching with new timeouts.
+     *
+     * @param {number} idleMinutes minutes without user activity until locking, 0 disables
+     * @param {number} hiddenMinutes minutes the page may be hidden until locking, 0 disables
+     * @param {function(string): void} onLock called once with the reason for locking
+     */
+    static start(idleMinutes, hiddenMinutes, onLock) {
+        this.stop();
+        if (!listening) {
+            for (const event of ["pointerdown", "keydown", "wheel", "touchstart"]) {
+                document.addEventListener(event, () => this.touch(), {passive: true});
+            }
+            document.addEventListener("visibilitychange", () => this.checkVisibility());
+            listening = true;
+        }
+        watch = {idleTime: 60000 * idleMinutes, hiddenTime: 60000 * hiddenMinutes, onLock: onLock};
+        this.touch();
+        this.checkVisibility();
+    }
+
+    /**
+     * Stops watching for inactivity, e.g. after the application has been locked.
+     */
+    static stop() {
+        if (watch === null) return;
+        clearTimeout(watch.idleTimer);
+        clearTimeout(watch.hiddenTimer);
+        watch = null;
+    }
+
+    /**
+     * Records user activity and restarts the idle timeout.
+     */
+    static touch() {
+        if (watch === null) return;
+        watch.lastActivity = Date.now();
+        clearTimeout(watch.idleTimer);
+        if (watch.idleTime > 0) {
+            watch.idleTimer = setTimeout(() => this.lock("Locked after inactivity."), watch.idleTime);
+        }
+    }
+
+    /**
+     * Starts the hidden timeout when the page is hidden and checks elapsed times when it is shown again.
+     */
+    static checkVisibility() {
+        if (watch === null) return;
+        clearTimeout(watch.hiddenTimer);
+        if (document.visibilityState === "hidden") {
+            watch.hiddenSince ??= Date.now();
+            if (watch.hiddenTime > 0) {
+                watch.hiddenTimer = setTimeout(() => this.lock("Locked while hidden."), watch.hiddenTime);
+            }
+            return;
+        }
+
+        const now = Date.now();
+        if (watch.hiddenTime > 0 && watch.hiddenSince !== undefined && now - watch.hiddenSince >= watch.hiddenTime) {
+            this.lock("Locked while hidden.");
+        } else if (watch.idleTime > 0 && now - watch.lastActivity >= watch.idleTime) {
+            this.lock("Locked after inactivity.");
+        }
+        if (watch !== null) watch.hiddenSince = undefined;
+    }
+
+    /**
+     * Stops watching and calls the lock callback.
+     *
+     * @param {string} reason reason for locking
+     */
+    static lock(reason) {
+        const onLock = watch.onLock;
+        this.stop();
+        onLock(reason);
+    }
+}
+
+/**
+ * Timeouts and timers while watching for inactivity.
+ *
+ * @type {?{idleTime: number, hiddenTime: number, onLock: function(string): void, idleTimer: number,
+ *     hiddenTimer: number, lastActivity: number, hiddenSince: number}}
+ */
+let watch = null;
+
+/**
+ * Activity listeners are registered once on the first start.
+ */
+let listening = false;
@@ -0,0 +1,79 @@
+import Patterns from "./patterns.js";
+
+/**
+ * Lists the changes between two configs, e.g. the config as loaded and the config as edited since.
+ */
+/**
+ * @typedef Change
+ * @type {object}
+ * @property {string} kind - "service" or "pattern"
+ * @property {string} name - name of the changed service or pattern
+ * @property {string} type - "added", "removed" or "changed"
+ * @property {string[]} details - changed properties of changed services and patterns
+ */
+export default class Changes {
+    /**
+     * Compares services and custom patterns of two configs by name.
+     *
+     * @param {ConfigDocument} base config as loaded
+     * @param {ConfigDocument} current config as edited
+     * @returns {Change[]} changes, services first
+     */
+    static diff(base, current) {
+        const changes = [];
+        const baseServices = new Map(base.services.map(service => [service.name, service]));
+        const currentServices = new Map(current.services.map(service => [service.name, service]));
+        for (const [name, service] of currentServices) {
+            const original = baseServices.get(name);
+            if (original === undefined) {
+                changes.push({kind: "service", name, type: "added", details: []});
+            } else {
+                const details = describeServiceChanges(original, service);
+                if (details.length > 0) changes.push({kind: "service", name, type: "changed", details});
+            }
+        }
+        for (const name of baseServices.keys()) {
+            if (!currentServices.has(name)) changes.push({kind: "service", name, type: "removed", details: []});
+        }
+
+        for (const [name, definition] of Object.entries(current.patterns)) {
+            if (!Object.hasOwn(base.patterns, name)) {
+                changes.push({kind: "pattern", name, type: "added", details: []});
+            } else if (JSON.stringify(base.patterns[name]) !== JSON.stringify(definition)) {
+                changes.push({kind: "pattern", name, type: "changed", details: ["definition"]});
+            }
+        }
+        for (const name of Object.keys(base.patterns)) {
+            if (!Object.hasOwn(current.patterns, name)) {
+                changes.push({kind: "pattern", name, type: "removed", details: []});
+            }
+        }
+        return changes;
+    }
+}
+
+/**
+ * Describes the changed properties of a service.
+ *
+ * @param {Service} original service as loaded
+ * @param {Service} service service as edited
+ * @returns {string[]} descriptions of changed properties
+ */
+function describeServiceChanges(original, service) {
+    const details = [];
+    const settings = {
+        iterations: s => s.iterations ?? 1,
+        pattern: s => s.pattern ?? Patterns.defaultPattern,
+        algorithm: s => s.algorithm ?? 1
+    };
+    for (const [property, value] of Object.entries(settings)) {
+        if (value(original) !== value(service)) details.push(`${property} ${value(original)} → ${value(service)}`);
+    }
+    for (const property of ["aliases", "username", "url", "notes", "tags"]) {
+        if (JSON.stringify(original[property]) !== JSON.stringify(service[property])) details.push(property);
+    }
+    if (details.length === 0 && JSON.stringify(original.history) !== JSON.stringify(service.history)) {
+        details.push("history"); // e.g. rotation recorded, changes of iterations already describe their history
+    }
+    return details;
+}
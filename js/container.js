@@ -0,0 +1,272 @@
+import Converter from "./convert.js";
+
+/**
+ * Self-describing container format for the encrypted services configuration.
+ *
+ * A container is a JSON object stating the format version, the key derivation function including its parameters and
+ * the cipher including init vector and authentication tag. Configs written before the container format existed
+ * (format version 1) are bare hex strings of a 16-byte AES-CBC init vector followed by the ciphertext. They can still
+ * be read and are written as containers on the next export.
+ */
+/**
+ * @typedef KdfParameters
+ * @type {object}
+ * @property {string} name - key derivation function, e.g. PBKDF2
+ * @property {string} hash - hash function applied by the key derivation function, e.g. SHA-512
+ * @property {number} iterations - hashing iterations
+ * @property {string} salt - salt as hex string
+ */
+/**
+ * @typedef ContainerContents
+ * @type {object}
+ * @property {number} version - container format version
+ * @property {KdfParameters} kdf - parameters to derive the config key from the main key
+ * @property {{name: string, iv: Uint8Array, tagLength: number}} cipher - cipher name, init vector and tag length (bits)
+ * @property {Uint8Array} ciphertext - encrypted config including the authentication tag if any
+ */
+export default class Container {
+    /**
+     * Identifies m41nk3y config containers.
+     */
+    static get format() {
+        return "m41nk3y-config";
+    }
+
+    /**
+     * Provides the format version written on export.
+     */
+    static get version() {
+        return 2;
+    }
+
+    /**
+     * Provides the format version of bare hex configs.
+     */
+    static get legacyVersion() {
+        return 1;
+    }
+
+    /**
+     * Provides the cipher written on export.
+     */
+    static get cipher() {
+        return {name: "AES-GCM", ivLength: 12, tagLength: 128};
+    }
+
+    /**
+     * Provides the key derivation parameters hard-coded for legacy configs.
+     *
+     * @returns {KdfParameters} legacy key derivation parameters
+     */
+    static get legacyKdf() {
+        return {
+            name: "PBKDF2",
+            hash: "SHA-512",
+            iterations: 1000,
+            salt: Converter.decodeToHexString(Converter.encodeFromText("config"))
+        };
+    }
+
+    /**
+     * Provides the key derivation cost parameters for new containers. Raising them causes configs with lower
+     * parameters to be re-keyed on the next export.
+     */
+    static get defaultKdf() {
+        return {name: "PBKDF2", hash: "SHA-512", iterations: 210000, saltLength: 16};
+    }
+
+    /**
+     * Creates key derivation parameters with the default cost and a fresh random salt.
+     *
+     * @returns {KdfParameters} key derivation parameters for a new container
+     */
+    static createKdf() {
+        const {name, hash, iterations, saltLength} = this.defaultKdf;
+        const salt = Converter.decodeToHexString(crypto.getRandomValues(new Uint8Array(saltLength)));
+        return {name, hash, iterations, salt};
+    }
+
+    /**
+     * Checks whether a config encrypted with the given parameters should be re-keyed on export.
+     *
+     * @param {KdfParameters} kdf key derivation parameters in use
+     * @param {string} cipherName cipher in use
+     * @returns {boolean} true, if parameters or cipher are weaker than the defaults
+     */
+    static isOutdated(kdf, cipherName) {
+        const defaults = this.defaultKdf;
+        return cipherName !== this.cipher.name
+            || kdf.name !== defaults.name
+            || kdf.hash !== defaults.hash
+            || kdf.iterations < defaults.iterations
+            || kdf.salt.length < 2 * defaults.saltLength;
+    }
+
+    /**
+     * Checks whether the given text is a legacy config of format version 1.
+     *
+     * @param {string} text encrypted config
+     * @returns {boolean} true, if text is a bare hex string
+     */
+    static isLegacy(text) {
+        return /^[0-9a-f]+$/i.test(text.trim());
+    }
+
+    /**
+     * Parses an encrypted config of any known format version.
+     *
+     * @param {string} text encrypted config as loaded from file
+     * @returns {ContainerContents} parsed container
+     * @throws {Error} if the text is no valid config container
+     */
+    static parse(text) {
+        if (this.isLegacy(text)) {
+            const hex = text.trim();
+            const initVectorLength = 32;
+            if (hex.length <= initVectorLength || hex.length % 2 !== 0) throw new Error("Truncated legacy config");
+            return {
+                version: this.legacyVersion,
+                kdf: this.legacyKdf,
+                cipher: {name: "AES-CBC", iv: Converter.encodeFromHexString(hex.substring(0, initVectorLength))},
+                ciphertext: Converter.encodeFromHexString(hex.substring(initVectorLength))
+            };
+        }
+
+        let container;
+        try {
+            container = JSON.parse(text);
+        } catch (error) {
+            throw new Error("Config is neither a legacy hex string nor a JSON container");
+        }
+        if (container === null || container.format !== this.format) throw new Error("Unknown config format");
+        if (container.version !== this.version) throw new Error(`Unsupported config version ${container.version}`);
+        const {kdf, cipher, payload, tag} = container;
+        if (!kdf || !cipher || typeof payload !== "string" || typeof tag !== "string") {
+            throw new Error("Incomplete config container");
+        }
+        if (kdf.name !== "PBKDF2" || !Number.isInteger(kdf.iterations) || kdf.iterations < 1
+            || typeof kdf.hash !== "string" || typeof kdf.salt !== "string") {
+            throw new Error("Unsupported key derivation parameters");
+        }
+        if (cipher.name !== this.cipher.name || typeof cipher.iv !== "string") throw new Error("Unsupported cipher");
+        if (tag.length * 4 !== cipher.tagLength) throw new Error("Authentication tag length mismatch");
+
+        const ciphertext = Converter.encodeFromHexString(payload + tag); // WebCrypto expects the tag appended
+        return {
+            version: container.version,
+            kdf: {name: kdf.name, hash: kdf.hash, iterations: kdf.iterations, salt: kdf.salt},
+            cipher: {name: cipher.name, iv: Converter.encodeFromHexString(cipher.iv), tagLength: cipher.tagLength},
+            ciphertext: ciphertext
+        };
+    }
+
+    /**
+     * Serializes an AES-GCM encrypted config to a container.
+     *
+     * @param {KdfParameters} kdf parameters the config key was derived with
+     * @param {Uint8Array} iv init vector used for encryption
+     * @param {ArrayBuffer} encrypted ciphertext with appended authentication tag as returned by WebCrypto
+     * @returns {string} container as JSON text
+     */
+    static serialize(kdf, iv, encrypted) {
+        const {name, tagLength} = this.cipher;
+        const encryptedHex = Converter.decodeToHexString(encrypted);
+        const tagStart = encryptedHex.length - tagLength / 4; // tag length in hex digits
+        return JSON.stringify({
+            format: this.format,
+            version: this.version,
+            kdf: {name: kdf.name, hash: kdf.hash, iterations: kdf.iterations, salt: kdf.salt},
+            cipher: {name: name, iv: Converter.decodeToHexString(iv), tagLength: tagLength},
+            tag: encryptedHex.substring(tagStart),
+            payload: encryptedHex.substring(0, tagStart)
+        }, null, 2);
+    }
+
+    /**
+     * Provides the hash functions in the order of their codes in the binary encoding.
+     */
+    static get hashes() {
+        return ["SHA-1", "SHA-256", "SHA-384", "SHA-512"];
+    }
+
+    /**
+     * Encodes a parsed container compactly as bytes, e.g. for paper backups. The first byte states the format
+     * version. Legacy containers continue with init vector and ciphertext. Current containers continue with the hash
+     * code, the iterations count (4 bytes, big-endian), the length-prefixed salt, the length-prefixed init vector and
+     * the ciphertext including the authentication tag.
+     *
+     * @param {ContainerContents} contents parsed container
+     * @returns {Uint8Array} encoded container
+     * @throws {Error} if the container cannot be encoded
+     */
+    static toBytes(contents) {
+        if (contents.version === this.legacyVersion) {
+            return concat([Uint8Array.of(contents.version), contents.cipher.iv, contents.ciphertext]);
+        }
+        const hash = this.hashes.indexOf(contents.kdf.hash);
+        if (hash < 0) throw new Error(`Unsupported hash function ${contents.kdf.hash}`);
+        if (contents.cipher.tagLength !== this.cipher.tagLength) throw new Error("Unsupported tag length");
+        const salt = Converter.encodeFromHexString(contents.kdf.salt);
+        const iterations = new Uint8Array(4);
+        new DataView(iterations.buffer).setUint32(0, contents.kdf.iterations);
+        return concat([Uint8Array.of(contents.version, hash), iterations, Uint8Array.of(salt.length), salt,
+            Uint8Array.of(contents.cipher.iv.length), contents.cipher.iv, contents.ciphertext]);
+    }
+
+    /**
+     * Decodes a container encoded by toBytes().
+     *
+     * @param {Uint8Array} bytes encoded container
+     * @returns {ContainerContents} parsed container
+     * @throws {Error} if the bytes are no encoded container
+     */
+    static fromBytes(bytes) {
+        const version = bytes[0];
+        if (version === this.legacyVersion) {
+            return this.parse(Converter.decodeToHexString(bytes.subarray(1)));
+        }
+        if (version !== this.version) throw new Error(`Unsupported config version ${version}`);
+        const hash = this.hashes[bytes[1]];
+        if (hash === undefined) throw new Error("Unsupported key derivation parameters");
+        const iterations = new DataView(bytes.buffer, bytes.byteOffset + 2, 4).getUint32(0);
+        const saltEnd = 7 + bytes[6];
+        const ivEnd = saltEnd + 1 + bytes[saltEnd];
+        if (ivEnd >= bytes.length) throw new Error("Truncated config");
+        return {
+            version: version,
+            kdf: {name: "PBKDF2", hash: hash, iterations: iterations,
+                salt: Converter.decodeToHexString(bytes.subarray(7, saltEnd))},
+            cipher: {name: this.cipher.name, iv: bytes.slice(saltEnd + 1, ivEnd), tagLength: this.cipher.tagLength},
+            ciphertext: bytes.slice(ivEnd)
+        };
+    }
+
+    /**
+     * Writes a parsed container as text again in its format version.
+     *
+     * @param {ContainerContents} contents parsed container
+     * @returns {string} encrypted config
+     */
+    static stringify(contents) {
+        if (contents.version === this.legacyVersion) {
+            return Converter.decodeToHexString(contents.cipher.iv) + Converter.decodeToHexString(contents.ciphertext);
+        }
+        return this.serialize(contents.kdf, contents.cipher.iv, contents.ciphertext);
+    }
+}
+
+/**
+ * Concatenates byte arrays.
+ *
+ * @param {Uint8Array[]} arrays arrays to concatenate
+ * @returns {Uint8Array} concatenated array
+ */
+function concat(arrays) {
+    const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+}
@@ -0,0 +1,301 @@
+import Converter from "./convert.js";
+import Patterns from "./patterns.js";
+import Container from "./container.js";
+import WordList from "./wordlist.js";
+
+/**
+ * DOM-free key derivation and config encryption core shared by the Web application and the command-line tool. It
+ * relies on the WebCrypto API only, which is provided by browsers and Node.js alike.
+ */
+export default class Core {
+    /**
+     * Provides the derivation algorithm of new services. Services without an algorithm use algorithm 1.
+     */
+    static get latestAlgorithm() {
+        return 2;
+    }
+
+    /**
+     * Imports a main secret to a CryptoKey object for key derivation.
+     *
+     * @param {string} secret main secret as entered by the user
+     * @returns {Promise<CryptoKey>} main key
+     */
+    static importSecret(secret) {
+        return crypto.subtle.importKey( // create CryptoKey from input main password
+            "raw",
+            Converter.encodeFromText(secret.trim()),
+            "PBKDF2",
+            false,
+            ["deriveKey"]);
+    }
+
+    /**
+     * Derives the password of a service by applying its pattern to the service key.
+     *
+     * Algorithm 1 maps each service key byte to a character by modulo, which limits passwords to 31 characters and
+     * slightly favours characters at the beginning of a character class. Algorithm 2 expands the service key with
+     * HKDF as needed and selects templates and characters or passphrase words by rejection sampling without bias.
+     *
+     * @param {Service} service service to derive the password for, its name or salt is used as salt
+     * @param {CryptoKey} mainKey main key to derive the service key from
+     * @param {Object<string, CustomPattern>} [customPatterns] custom patterns defined in the config
+     * @returns {Promise<string>} service password
+     * @throws {Error} if pattern, algorithm or iterations count of the service are invalid or do not fit together
+     */
+    static async deriveServicePassword(service, mainKey, customPatterns = {}) {
+        const patternName = service.pattern ?? Patterns.defaultPattern;
+        const pattern = Patterns.resolve(patternName, customPatterns);
+        if (pattern === undefined) throw new Error(`Unknown pattern ${patternName}`);
+        const algorithm = service.algorithm ?? 1;
+        if (algorithm !== 1 && algorithm !== 2) throw new Error(`Unknown derivation algorithm ${algorithm}`);
+        if (algorithm < Patterns.requiredAlgorithm(patternName, customPatterns)) {
+            throw new Error(`Pattern ${patternName} requires derivation algorithm 2`);
+        }
+
+        const iterations = service.iterations ?? 1;
+        if (!Number.isInteger(iterations) || iterations < 1) throw new Error(`Invalid iterations count ${iterations}`);
+
+        const aesKey = await deriveKey(mainKey, service.salt ?? service.name, 1000 + iterations);
+        const arrayBuffer = await crypto.subtle.exportKey("raw", aesKey); // export key for display
+        const keyBytes = new Uint8Array(arrayBuffer);
+        if (pattern.passphrase !== undefined) {
+            const {words} = pattern.passphrase;
+            return sampleUnbiased(keyBytes, 2 * (2 * words + 3), nextIndex => composePassphrase(nextIndex, pattern));
+        }
+        if (algorithm === 2) {
+            const longest = Math.max(...pattern.templates.map(template => template.length));
+            return sampleUnbiased(keyBytes, 2 * (longest + 1), nextIndex => applyTemplate(nextIndex, pattern));
+        }
+
+        const template = pattern.templates[keyBytes[0] % pattern.templates.length];
+        return template.split("").map(function (c, i) {
+            const characters = pattern.characters[c];
+            return characters[keyBytes[i + 1] % characters.length];
+        }).join("");
+    }
+
+    /**
+     * Derives the config key from the main key using the parameters stated by a config container.
+     *
+     * @param {CryptoKey} mainKey key to derive the config key from
+     * @param {KdfParameters} kdf key derivation parameters
+     * @param {string} cipherName cipher the config key is used with
+     * @returns {PromiseLike<CryptoKey>} promise containing the derived config key
+     */
+    static deriveConfigKey(mainKey, kdf, cipherName) {
+        return crypto.subtle.deriveKey({
+                name: kdf.name,
+                salt: Converter.encodeFromHexString(kdf.salt),
+                iterations: kdf.iterations,
+                hash: kdf.hash
+            },
+            mainKey,
+            {name: cipherName, length: 256},
+            false,
+            ["encrypt", "decrypt"]
+        );
+    }
+
+    /**
+     * Derives a config key with a fresh salt and the current default key derivation parameters.
+     *
+     * @param {CryptoKey} mainKey key to derive the config key from
+     * @returns {Promise<{configKey: CryptoKey, kdf: KdfParameters}>} config key and its derivation parameters
+     */
+    static async createConfigKey(mainKey) {
+        const kdf = Container.createKdf();
+        const configKey = await this.deriveConfigKey(mainKey, kdf, Container.cipher.name);
+        return {configKey, kdf};
+    }
+
+    /**
+     * Decrypts a parsed config container with the main key. Configs consisting of a services array only are
+     * converted to a config document without custom patterns.
+     *
+     * @param {ContainerContents} container parsed config container
+     * @param {CryptoKey} mainKey main key to derive the config key from
+     * @returns {Promise<{config: ConfigDocument, configKey: CryptoKey}>} decrypted config and the derived config key
+     * @throws {MalformedConfigError} if the config has been decrypted, but is no config document
+     * @throws {DOMException} if decryption fails, usually due to a wrong main secret
+     */
+    static async decryptConfig(container, mainKey) {
+        const configKey = await this.deriveConfigKey(mainKey, container.kdf, container.cipher.name);
+        const configAsArrayBuffer = await crypto.subtle.decrypt(
+            container.cipher,
+            configKey,
+            container.ciphertext
+        );
+        return {config: parseConfig(Converter.decodeToText(configAsArrayBuffer)), configKey: configKey};
+    }
+
+    /**
+     * Encrypts a config to a config container.
+     *
+     * @param {ConfigDocument} config services and custom patterns to encrypt
+     * @param {CryptoKey} configKey AES-GCM config key
+     * @param {KdfParameters} kdf parameters the config key was derived with
+     * @returns {Promise<string>} config container
+     */
+    static async encryptConfig(config, configKey, kdf) {
+        const iv = crypto.getRandomValues(new Uint8Array(Container.cipher.ivLength));
+        const encryptedConfig = await crypto.subtle.encrypt(
+            {name: Container.cipher.name, iv: iv, tagLength: Container.cipher.tagLength},
+            configKey,
+            Converter.encodeFromText(JSON.stringify(config))
+        );
+        return Container.serialize(kdf, iv, encryptedConfig);
+    }
+}
+
+/**
+ * Signals that a config has been decrypted, but is no config document, as opposed to a wrong main secret.
+ */
+export class MalformedConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "MalformedConfigError";
+    }
+}
+
+/**
+ * Parses a decrypted config and checks its structure. Problems of single services are left to Validation.check().
+ *
+ * @param {string} text decrypted config
+ * @returns {ConfigDocument} config document
+ * @throws {MalformedConfigError} if the text is no config document
+ */
+function parseConfig(text) {
+    let decoded;
+    try {
+        decoded = JSON.parse(text);
+    } catch (error) {
+        throw new MalformedConfigError("Config is no JSON: " + error.message);
+    }
+    const config = Array.isArray(decoded) ? {services: decoded} : decoded;
+    if (typeof config !== "object" || config === null) throw new MalformedConfigError("Config is no object");
+    if (!Array.isArray(config.services)) throw new MalformedConfigError("Config has no services list");
+    config.services.forEach((service, index) => {
+        if (typeof service !== "object" || service === null || Array.isArray(service)) {
+            throw new MalformedConfigError(`Service ${index + 1} is no object`);
+        }
+        if (typeof service.name !== "string") throw new MalformedConfigError(`Service ${index + 1} has no name`);
+    });
+    const patterns = config.patterns ?? {};
+    if (typeof patterns !== "object" || Array.isArray(patterns)) {
+        throw new MalformedConfigError("Custom patterns are no object");
+    }
+    return {services: config.services, patterns: patterns};
+}
+
+/**
+ * Derives services keys from main key.
+ *
+ * @param {CryptoKey} mainKey key to derive other key from
+ * @param {string} salt salt for key derivation
+ * @param {number} iterations hashing iterations
+ * @returns {PromiseLike<CryptoKey>} promise containing the derived key
+ */
+function deriveKey(mainKey, salt, iterations) {
+    return crypto.subtle.deriveKey({
+            name: "PBKDF2",
+            salt: Converter.encodeFromText(salt),
+            iterations: iterations,
+            hash: "SHA-512"
+        },
+        mainKey,
+        {name: "AES-CBC", length: 256},
+        true,
+        ["encrypt", "decrypt"]
+    );
+}
+
+/**
+ * Signals that the expanded service key does not provide enough bytes for rejection sampling.
+ */
+const exhausted = new Error("Service key expansion exhausted");
+
+/**
+ * Derives a password from a service key without modulo bias. The service key is expanded with HKDF-SHA-512 to a byte
+ * stream, from which indices are taken by rejection sampling. HKDF output is prefix-stable, so expanding to more bytes
+ * when the stream is exhausted yields the same password as expanding to enough bytes right away.
+ *
+ * @param {Uint8Array} keyBytes service key
+ * @param {number} expectedBytes count of bytes the password usually takes
+ * @param {function(function(number): number): string} compose composes the password from indices
+ * @returns {Promise<string>} service password
+ */
+async function sampleUnbiased(keyBytes, expectedBytes, compose) {
+    const hkdfKey = await crypto.subtle.importKey("raw", keyBytes, "HKDF", false, ["deriveBits"]);
+    const maxLength = 255 * 64; // HKDF-SHA-512 output limit in bytes
+    for (let length = 64 * Math.ceil(expectedBytes / 64); ; length = Math.min(2 * length, maxLength)) {
+        const bytes = await crypto.subtle.deriveBits({
+            name: "HKDF",
+            hash: "SHA-512",
+            salt: new Uint8Array(0),
+            info: Converter.encodeFromText("m41nk3y service password v2")
+        }, hkdfKey, 8 * length);
+        try {
+            return compose(indexSampler(new Uint8Array(bytes)));
+        } catch (error) {
+            if (error !== exhausted || length === maxLength) throw error;
+        }
+    }
+}
+
+/**
+ * Creates a function providing uniformly distributed indices from a byte stream. Each index is taken from the next
+ * one or, for more than 256 choices, two bytes below the largest multiple of the count of choices. Other bytes are
+ * skipped.
+ *
+ * @param {Uint8Array} bytes expanded service key
+ * @returns {function(number): number} function returning the next index below a count of choices
+ */
+function indexSampler(bytes) {
+    let position = 0;
+    return count => {
+        const width = count > 256 ? 2 : 1;
+        const range = 256 ** width;
+        const limit = range - range % count;
+        while (position + width <= bytes.length) {
+            let value = 0;
+            for (let i = 0; i < width; i++) value = 256 * value + bytes[position++];
+            if (value < limit) return value % count;
+        }
+        throw exhausted;
+    };
+}
+
+/**
+ * Selects a template and its characters.
+ *
+ * @param {function(number): number} nextIndex provides the next index below a count of choices
+ * @param {ResolvedPattern} pattern template pattern
+ * @returns {string} service password
+ */
+function applyTemplate(nextIndex, pattern) {
+    const template = pattern.templates[nextIndex(pattern.templates.length)];
+    return template.split("").map(c => {
+        const characters = pattern.characters[c];
+        return characters[nextIndex(characters.length)];
+    }).join("");
+}
+
+/**
+ * Selects the words of a passphrase, the word to capitalise and the word to append a digit to.
+ *
+ * @param {function(number): number} nextIndex provides the next index below a count of choices
+ * @param {ResolvedPattern} pattern passphrase pattern
+ * @returns {string} service passphrase
+ */
+function composePassphrase(nextIndex, pattern) {
+    const {words, separator, capitalize, digit} = pattern.passphrase;
+    const selected = [];
+    for (let i = 0; i < words; i++) selected.push(WordList[nextIndex(WordList.length)]);
+    if (capitalize) {
+        const i = nextIndex(words);
+        selected[i] = selected[i].charAt(0).toUpperCase() + selected[i].substring(1);
+    }
+    if (digit) selected[nextIndex(words)] += nextIndex(10).toString();
+    return selected.join(separator);
+}
@@ -0,0 +1,186 @@
+import Core from "./core.js";
+import Logger from "./logger.js";
+
+/**
+ * Derives service passwords in parallel Web Workers. Requests are queued and handed to idle workers, services matching
+ * the current priority first. Passwords are cached per main key for the session, so re-deriving services with
+ * unchanged name, iterations, pattern and algorithm is instant. Without Web Worker support, derivation runs on the
+ * main thread.
+ */
+/**
+ * @typedef DerivationJob
+ * @type {object}
+ * @property {Service} service - service as passed by the caller, used for prioritisation
+ * @property {Service} snapshot - derivation-relevant properties of the service at request time
+ * @property {CryptoKey} mainKey - main key to derive the service key from
+ * @property {Object<string, CustomPattern>} customPatterns - custom patterns defined in the config
+ * @property {function(string): void} resolve - fulfils the derivation promise
+ * @property {function(Error): void} reject - rejects the derivation promise
+ */
+export default class DerivationPool {
+    /**
+     * Provides the maximum count of workers, bounded by the count of logical processors.
+     */
+    static get size() {
+        return Math.max(1, Math.min(navigator.hardwareConcurrency ?? 2, 4));
+    }
+
+    /**
+     * Derives the password of a service, see Core.deriveServicePassword.
+     *
+     * @param {Service} service service to derive the password for
+     * @param {CryptoKey} mainKey main key to derive the service key from
+     * @param {Object<string, CustomPattern>} [customPatterns] custom patterns defined in the config
+     * @returns {Promise<string>} service password
+     */
+    static derive(service, mainKey, customPatterns = {}) {
+        const snapshot = {
+            name: service.name,
+            salt: service.salt,
+            iterations: service.iterations,
+            pattern: service.pattern,
+            algorithm: service.algorithm
+        };
+        const cacheKey = JSON.stringify([snapshot, customPatterns[service.pattern] ?? null]);
+        if (!cache.has(mainKey)) cache.set(mainKey, new Map());
+        const passwords = cache.get(mainKey);
+        if (!passwords.has(cacheKey)) {
+            const password = new Promise((resolve, reject) => {
+                queue.push({service, snapshot, mainKey, customPatterns, resolve, reject});
+                schedule();
+            });
+            password.catch(() => passwords.delete(cacheKey)); // retry failed derivations on the next request
+            passwords.set(cacheKey, password);
+        }
+        return passwords.get(cacheKey);
+    }
+
+    /**
+     * Sets the services to derive first, e.g. the services matching the filter.
+     *
+     * @param {function(Service): boolean} predicate returns true for services to derive first
+     */
+    static prioritize(predicate) {
+        priority = predicate;
+    }
+
+    /**
+     * Drops queued requests, cached passwords and workers including the keys passed to them. Promises of dropped
+     * requests are rejected with a LockedError. Requests derived on the main thread cannot be dropped.
+     */
+    static clear() {
+        const dropped = queue.concat(workers.map(slot => slot.job).filter(job => job !== null));
+        queue = [];
+        cache = new WeakMap();
+        workers.forEach(slot => slot.worker.terminate());
+        workers = [];
+        dropped.forEach(job => job.reject(new LockedError("Derivation dropped on locking")));
+    }
+}
+
+/**
+ * Signals that a derivation request has been dropped by DerivationPool.clear(), e.g. on locking.
+ */
+export class LockedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "LockedError";
+    }
+}
+
+/**
+ * Derivation requests not yet handed to a worker.
+ *
+ * @type {DerivationJob[]}
+ */
+let queue = [];
+
+/**
+ * Workers with the job they are working on.
+ *
+ * @type {{worker: Worker, job: ?DerivationJob}[]}
+ */
+let workers = [];
+
+/**
+ * Derived passwords by cache key per main key.
+ *
+ * @type {WeakMap<CryptoKey, Map<string, Promise<string>>>}
+ */
+let cache = new WeakMap();
+
+/**
+ * Returns true for services to derive first.
+ *
+ * @type {function(Service): boolean}
+ */
+let priority = () => false;
+
+/**
+ * Set when workers are not supported or failed to start, so jobs are derived on the main thread.
+ */
+let inline = typeof Worker === "undefined";
+
+/**
+ * Set while dispatching is scheduled.
+ */
+let scheduled = false;
+
+/**
+ * Schedules dispatching queued jobs after the current task, so requests and prioritisation of the same task are
+ * dispatched by priority.
+ */
+function schedule() {
+    if (scheduled) return;
+    scheduled = true;
+    queueMicrotask(dispatch);
+}
+
+/**
+ * Hands queued jobs to idle workers, starting workers up to the pool size.
+ */
+function dispatch() {
+    scheduled = false;
+    while (queue.length > 0) {
+        let slot = workers.find(slot => slot.job === null);
+        if (slot === undefined && workers.length < DerivationPool.size && !inline) slot = startWorker();
+        if (slot === undefined && !inline) return;
+
+        const index = Math.max(0, queue.findIndex(job => priority(job.service)));
+        const [job] = queue.splice(index, 1);
+        if (inline) {
+            Core.deriveServicePassword(job.snapshot, job.mainKey, job.customPatterns).then(job.resolve, job.reject);
+        } else {
+            slot.job = job;
+            slot.worker.postMessage({service: job.snapshot, mainKey: job.mainKey, customPatterns: job.customPatterns});
+        }
+    }
+}
+
+/**
+ * Starts a worker and adds it to the pool.
+ *
+ * @returns {{worker: Worker, job: ?DerivationJob}} idle worker slot
+ */
+function startWorker() {
+    const slot = {worker: new Worker(new URL("./derivationworker.js", import.meta.url), {type: "module"}), job: null};
+    slot.worker.addEventListener("message", event => {
+        const job = slot.job;
+        slot.job = null;
+        if (event.data.error !== undefined) job.reject(new Error(event.data.error));
+        else job.resolve(event.data.password);
+        dispatch();
+    });
+    slot.worker.addEventListener("error", event => { // e.g. module workers not supported
+        Logger.debug("Derivation worker failed, deriving on the main thread: " + event.message);
+        inline = true;
+        for (const {worker, job} of workers) {
+            worker.terminate();
+            if (job !== null) queue.unshift(job);
+        }
+        workers = [];
+        dispatch();
+    });
+    workers.push(slot);
+    return slot;
+}
@@ -0,0 +1,14 @@
+import Core from "./core.js";
+
+/**
+ * Derives service passwords off the main thread for the DerivationPool. Each message holds one derivation request
+ * and is answered with the password or an error message.
+ */
+self.addEventListener("message", async event => {
+    const {service, mainKey, customPatterns} = event.data;
+    try {
+        self.postMessage({password: await Core.deriveServicePassword(service, mainKey, customPatterns)});
+    } catch (error) {
+        self.postMessage({error: error.message});
+    }
+});
@@ -0,0 +1,112 @@
+/**
+ * Matches services to the host of a site by domain. Hosts match services named by the same host, by a parent or
+ * subdomain of it or by another subdomain of the same registrable domain (eTLD+1), e.g. login.example.co.uk matches
+ * example.co.uk and www.example.co.uk, but not example.com.
+ *
+ * Registrable domains are determined by a built-in list of common public suffixes of two labels such as co.uk.
+ * Other suffixes are assumed to consist of the top-level domain only.
+ */
+export default class Domain {
+    /**
+     * Checks whether a filter term looks like a host name.
+     *
+     * @param {string} text filter term
+     * @returns {boolean} true, if the term contains a dot separating labels
+     */
+    static isHost(text) {
+        return /^[a-z0-9-]+(\.[a-z0-9-]+)+\.?$/i.test(this.normalize(text));
+    }
+
+    /**
+     * Extracts the host name of a URL, a host name or a service name, omitting a leading www label.
+     *
+     * @param {string} text URL or host name
+     * @returns {string} lower case host name
+     */
+    static normalize(text) {
+        let host = text.trim().toLowerCase();
+        try {
+            if (host.includes("://")) host = new URL(host).hostname;
+        } catch (error) {
+            // no valid URL, use as host name
+        }
+        host = host.split(/[/?#]/)[0].replace(/:\d+$/, "").replace(/\.$/, "");
+        return host.startsWith("www.") ? host.substring("www.".length) : host;
+    }
+
+    /**
+     * Determines the registrable domain (eTLD+1) of a host name.
+     *
+     * @param {string} host host name
+     * @returns {string} registrable domain, the host itself for IP addresses and hosts of up to two labels
+     */
+    static registrableDomain(host) {
+        const normalized = this.normalize(host);
+        const labels = normalized.split(".");
+        if (/^[\d.]+$/.test(normalized) || labels.length <= 2) return normalized;
+        const suffixLength = publicSuffixes.has(labels.slice(-2).join(".")) ? 2 : 1;
+        return labels.slice(-(suffixLength + 1)).join(".");
+    }
+
+    /**
+     * Rates how well a service matches a host by its name, aliases and login URL.
+     *
+     * @param {Service} service service to rate
+     * @param {string} host host name or URL of a site
+     * @returns {number} 3 for the same host, 2 for a parent or subdomain, 1 for the same registrable domain, 0 for
+     *     no match
+     */
+    static matchScore(service, host) {
+        const target = this.normalize(host);
+        let score = 0;
+        const candidates = [service.name, ...(service.aliases ?? []), service.url];
+        for (const candidate of candidates.filter(text => text !== undefined && text !== "")) {
+            const domain = this.normalize(candidate);
+            if (domain === target) return 3;
+            if (domain.endsWith("." + target) || target.endsWith("." + domain)) score = Math.max(score, 2);
+            else if (this.registrableDomain(domain) === this.registrableDomain(target)) score = Math.max(score, 1);
+        }
+        return score;
+    }
+
+    /**
+     * Finds the service matching a host best. Of equally rated services, the first one is chosen.
+     *
+     * @param {Service[]} services services to choose from
+     * @param {string} host host name or URL of a site
+     * @returns {Service|undefined} best matching service or undefined, if no service matches
+     */
+    static bestMatch(services, host) {
+        let best;
+        let bestScore = 0;
+        for (const service of services) {
+            const score = this.matchScore(service, host);
+            if (score > bestScore) {
+                best = service;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+}
+
+/**
+ * Common public suffixes consisting of two labels, a subset of the Public Suffix List.
+ */
+const publicSuffixes = new Set([
+    "co.uk", "org.uk", "me.uk", "ltd.uk", "plc.uk", "net.uk", "ac.uk", "gov.uk", "nhs.uk", "police.uk",
+    "com.au", "net.au", "org.au", "edu.au", "gov.au", "asn.au", "id.au",
+    "co.nz", "net.nz", "org.nz", "govt.nz", "ac.nz",
+    "co.jp", "ne.jp", "or.jp", "ac.jp", "go.jp",
+    "co.kr", "or.kr", "ac.kr",
+    "com.br", "net.br", "org.br", "gov.br",
+    "com.cn", "net.cn", "org.cn", "gov.cn", "edu.cn",
+    "com.hk", "org.hk", "com.tw", "org.tw", "com.sg", "edu.sg", "gov.sg", "com.my",
+    "co.in", "net.in", "org.in", "gov.in", "ac.in",
+    "co.za", "org.za", "gov.za", "ac.za",
+    "com.mx", "org.mx", "gob.mx", "com.ar", "gob.ar", "com.co", "com.pe", "com.tr", "gov.tr", "com.ua",
+    "co.il", "org.il", "ac.il", "co.id", "or.id", "ac.id", "com.ph", "com.vn", "co.th", "ac.th",
+    "com.pl", "net.pl", "org.pl", "co.at", "or.at", "gv.at", "ac.at",
+    "github.io", "gitlab.io", "netlify.app", "vercel.app", "herokuapp.com", "blogspot.com", "appspot.com",
+    "azurewebsites.net", "cloudfront.net", "pages.dev", "workers.dev"
+]);
@@ -0,0 +1,135 @@
+import Domain from "./domain.js";
+
+/**
+ * Filters and ranks services by a query of terms separated by white space. Terms of the form tag:NAME match services
+ * having a tag starting with NAME. Other terms match services whose name, aliases, username, URL or notes contain the
+ * term. Names and aliases are matched fuzzily as well, containing the characters of the term in order (e.g. "gml"
+ * matches gmail.com) or differing from the term by a typo (e.g. "gmial" matches gmail.com). Host names such as
+ * login.example.co.uk additionally match services of the same domain, see Domain. A service matches, if all terms of
+ * the query match, and is ranked by how well they match.
+ */
+/**
+ * @typedef FilterQuery
+ * @type {object}
+ * @property {string[]} tags - lower case tag prefixes
+ * @property {string[]} terms - lower case text terms
+ */
+export default class Filter {
+    /**
+     * Parses a filter query as typed by the user.
+     *
+     * @param {string} text filter query
+     * @returns {FilterQuery} parsed query
+     */
+    static parse(text) {
+        const query = {tags: [], terms: []};
+        for (const term of text.toLowerCase().split(/\s+/).filter(term => term !== "")) {
+            if (term.startsWith("tag:")) query.tags.push(term.substring("tag:".length));
+            else query.terms.push(term);
+        }
+        return query;
+    }
+
+    /**
+     * Checks whether a service matches a filter query.
+     *
+     * @param {Service} service service to check
+     * @param {FilterQuery} query parsed filter query
+     * @returns {boolean} true, if all terms of the query match
+     */
+    static matches(service, query) {
+        return this.score(service, query) > 0;
+    }
+
+    /**
+     * Rates how well a service matches a filter query. Exact matches of the name rate highest, followed by prefixes,
+     * substrings, subsequences and typos. Matches of username, URL or notes rate lower than matches of the name.
+     *
+     * @param {Service} service service to rate
+     * @param {FilterQuery} query parsed filter query
+     * @returns {number} sum of the ratings of all terms, 0 if any term does not match
+     */
+    static score(service, query) {
+        const tags = (service.tags ?? []).map(tag => tag.toLowerCase());
+        if (!query.tags.every(prefix => tags.some(tag => tag.startsWith(prefix)))) return 0;
+        const names = [service.name, ...(service.aliases ?? [])].map(name => name.toLowerCase());
+        const details = [service.username, service.url, service.notes]
+            .filter(field => field !== undefined)
+            .map(field => field.toLowerCase());
+        let total = 1; // services match an empty query
+        for (const term of query.terms) {
+            const domainScore = Domain.isHost(term) ? Domain.matchScore(service, term) : 0;
+            const score = Math.max(
+                ...names.map(name => rateName(name, term)),
+                ...details.map(detail => detail.includes(term) ? 30 : 0),
+                domainScore > 0 ? 50 + 10 * domainScore : 0);
+            if (score === 0) return 0;
+            total += score;
+        }
+        return total;
+    }
+}
+
+/**
+ * Rates how well a service name or alias matches a term.
+ *
+ * @param {string} name lower case name
+ * @param {string} term lower case term
+ * @returns {number} 100 for equality, 80 for a prefix, 60 for a substring, 10 to 40 for a subsequence depending on
+ *     the gaps, 10 to 20 for a typo, 0 for no match
+ */
+function rateName(name, term) {
+    if (name === term) return 100;
+    if (name.startsWith(term)) return 80;
+    if (name.includes(term)) return 60;
+    const span = subsequenceSpan(name, term);
+    if (span > 0) return 10 + Math.round(30 * term.length / span);
+    const allowed = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    if (allowed === 0) return 0;
+    let distance = Infinity;
+    for (const word of name.split(/[^\p{L}\p{N}]+/u).filter(word => word !== "")) {
+        distance = Math.min(distance, editDistance(word, term), editDistance(word.substring(0, term.length), term));
+    }
+    return distance <= allowed ? 20 - 5 * distance : 0;
+}
+
+/**
+ * Finds the shortest part of a name containing the characters of a term in order.
+ *
+ * @param {string} name lower case name
+ * @param {string} term lower case term
+ * @returns {number} length of the shortest part or 0, if the name does not contain the characters in order
+ */
+function subsequenceSpan(name, term) {
+    let shortest = 0;
+    for (let start = name.indexOf(term[0]); start >= 0; start = name.indexOf(term[0], start + 1)) {
+        let position = start;
+        for (let i = 1; i < term.length && position >= 0; i++) position = name.indexOf(term[i], position + 1);
+        if (position < 0) break; // later starts cannot contain the term either
+        if (shortest === 0 || position - start + 1 < shortest) shortest = position - start + 1;
+    }
+    return shortest;
+}
+
+/**
+ * Computes the count of insertions, deletions, substitutions and transpositions of adjacent characters needed to turn
+ * one word into another (optimal string alignment distance).
+ *
+ * @param {string} a first word
+ * @param {string} b second word
+ * @returns {number} edit distance
+ */
+function editDistance(a, b) {
+    const rows = Array.from({length: a.length + 1}, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
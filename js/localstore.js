@@ -0,0 +1,115 @@
+/**
+ * Persists configs encrypted in the browser's IndexedDB: the edited config of each profile, so changes not yet
+ * exported or saved to the sync server survive closing the page, and the configs of profiles imported into this
+ * browser. Only encrypted configs are stored.
+ */
+/**
+ * @typedef Draft
+ * @type {object}
+ * @property {string} config - config container of the edited config
+ * @property {string} base - encrypted config the edits are based on, as loaded
+ * @property {string} date - date and time of the last change as ISO string
+ */
+/**
+ * @typedef StoredProfile
+ * @type {object}
+ * @property {string} name - profile name
+ * @property {string} label - name shown to the user
+ * @property {string} config - encrypted config
+ */
+export default class LocalStore {
+    static get databaseName() {
+        return "m41nk3y";
+    }
+
+    /**
+     * Loads the stored draft of a profile.
+     *
+     * @param {string} profile profile name
+     * @returns {Promise<?Draft>} stored draft or null, if there are no unsaved changes
+     */
+    static async load(profile) {
+        return await request("drafts", "readonly", store => store.get(profile)) ?? null;
+    }
+
+    /**
+     * Stores the draft of a profile, replacing the one stored before.
+     *
+     * @param {string} profile profile name
+     * @param {Draft} draft draft to store
+     * @returns {Promise<void>} promise fulfilled after storing
+     */
+    static async save(profile, draft) {
+        await request("drafts", "readwrite", store => store.put(draft, profile));
+    }
+
+    /**
+     * Removes the stored draft of a profile after the changes have been saved or discarded.
+     *
+     * @param {string} profile profile name
+     * @returns {Promise<void>} promise fulfilled after removing
+     */
+    static async clear(profile) {
+        await request("drafts", "readwrite", store => store.delete(profile));
+    }
+
+    /**
+     * Loads the profiles imported into this browser.
+     *
+     * @returns {Promise<StoredProfile[]>} imported profiles
+     */
+    static async loadProfiles() {
+        return await request("profiles", "readonly", store => store.getAll());
+    }
+
+    /**
+     * Stores an imported profile, replacing one of the same name.
+     *
+     * @param {StoredProfile} profile profile to store
+     * @returns {Promise<void>} promise fulfilled after storing
+     */
+    static async saveProfile(profile) {
+        await request("profiles", "readwrite", store => store.put(profile, profile.name));
+    }
+
+    /**
+     * Removes an imported profile.
+     *
+     * @param {string} name profile name
+     * @returns {Promise<void>} promise fulfilled after removing
+     */
+    static async removeProfile(name) {
+        await request("profiles", "readwrite", store => store.delete(name));
+    }
+}
+
+/**
+ * Runs a request on an object store in a transaction of its own.
+ *
+ * @param {string} storeName object store name
+ * @param {IDBTransactionMode} mode transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} operation creates the request
+ * @returns {Promise<*>} result of the request
+ */
+async function request(storeName, mode, operation) {
+    const database = await new Promise((resolve, reject) => {
+        const opening = indexedDB.open(LocalStore.databaseName, 2); // version 1 lacks the profiles store
+        opening.onupgradeneeded = () => {
+            for (const name of ["drafts", "profiles"]) {
+                if (!opening.result.objectStoreNames.contains(name)) opening.result.createObjectStore(name);
+            }
+        };
+        opening.onsuccess = () => resolve(opening.result);
+        opening.onerror = () => reject(opening.error);
+    });
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode);
+            const storeRequest = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(storeRequest.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        database.close();
+    }
+}
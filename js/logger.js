@@ -1,15 +1,153 @@
 /**
- * Provides functionality for console logging and notification.
+ * Provides functionality for console logging and notification. Messages are written to the console and kept in a log
+ * for the session, which listeners such as the notification area of the Web application are informed about. Messages
+ * name services and describe errors, they must never contain secrets or derived passwords.
+ */
+/**
+ * @typedef LogEntry
+ * @type {object}
+ * @property {Date} date - date and time of the message
+ * @property {string} level - info, notice, success, warning or error
+ * @property {string} message - detailed message for the log
+ * @property {string} notification - short message to notify the user with
  */
 export default class Logger {
+    /**
+     * Provides the count of messages kept in the log.
+     */
+    static get capacity() {
+        return 200;
+    }
+
+    /**
+     * Writes a message to the console only, e.g. progress of internal steps.
+     *
+     * @param {string} message message
+     */
     static debug(message) {
-        console.debug(message);
+        output.debug(message);
     }
 
+    /**
+     * Records a message in the log without notifying the user, e.g. changes applied to the config.
+     *
+     * @param {string} message message
+     */
+    static info(message) {
+        this.record("info", message, message);
+    }
+
+    /**
+     * Notifies the user with a message.
+     *
+     * @param {string} message detailed message
+     * @param {string} [notification] short message, the detailed message by default
+     */
     static log(message, notification = message) {
-        // Notification.requestPermission().then(result => {
-        //     if (result === "granted") new Notification(notification);
-        // });
-        console.log(message);
+        this.record("notice", message, notification);
+    }
+
+    /**
+     * Notifies the user that an action succeeded.
+     *
+     * @param {string} message detailed message
+     * @param {string} [notification] short message, the detailed message by default
+     */
+    static success(message, notification = message) {
+        this.record("success", message, notification);
+    }
+
+    /**
+     * Warns the user, e.g. about invalid input.
+     *
+     * @param {string} message detailed message
+     * @param {string} [notification] short message, the detailed message by default
+     */
+    static warn(message, notification = message) {
+        this.record("warning", message, notification);
+    }
+
+    /**
+     * Notifies the user that an action failed.
+     *
+     * @param {string} message detailed message
+     * @param {string} [notification] short message, the detailed message by default
+     */
+    static error(message, notification = message) {
+        this.record("error", message, notification);
+    }
+
+    /**
+     * Sets the console messages are written to, e.g. one writing to stderr only in the command-line interface, whose
+     * stdout is reserved for results.
+     *
+     * @param {Console} target console to write to
+     */
+    static set console(target) {
+        output = target;
+    }
+
+    /**
+     * Provides the messages logged during the session, oldest first.
+     *
+     * @returns {LogEntry[]} logged messages
+     */
+    static get entries() {
+        return [...entries];
+    }
+
+    /**
+     * Registers a listener informed about every message logged.
+     *
+     * @param {function(LogEntry): void} listener listener to register
+     */
+    static subscribe(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Removes all messages from the log, e.g. on locking, as messages name services.
+     */
+    static clear() {
+        entries.length = 0;
+    }
+
+    /**
+     * Writes a message to the console, keeps it in the log and informs the listeners.
+     *
+     * @param {string} level info, notice, success, warning or error
+     * @param {string} message detailed message
+     * @param {string} notification short message
+     */
+    static record(level, message, notification) {
+        if (level === "error") output.error(message);
+        else if (level === "warning") output.warn(message);
+        else output.info(message);
+
+        const entry = {date: new Date(), level, message, notification};
+        entries.push(entry);
+        if (entries.length > this.capacity) entries.shift();
+        for (const listener of listeners) listener(entry);
     }
 }
+
+/**
+ * Console messages are written to.
+ *
+ * @type {Console}
+ */
+let output = console;
+
+/**
+ * Messages logged during the session.
+ *
+ * @type {LogEntry[]}
+ */
+const entries = [];
+
+/**
+ * Listeners informed about messages logged.
+ *
+ * @type {Array<function(LogEntry): void>}
+ */
+const listeners = [];
@@ -1,16 +1,34 @@
 import Logger from "./logger.js";
 import Util from "./util.js";
 import Patterns from "./patterns.js";
-import Converter from "./convert.js";
 import Config from "./serviceconfig.js";
 import Download from "./download.js";
+import Container from "./container.js";
+import Rotation from "./rotation.js";
+import Core, {MalformedConfigError} from "./core.js";
+import Filter from "./filter.js";
+import Settings from "./settings.js";
+import AutoLock from "./autolock.js";
+import SecureClipboard from "./secureclipboard.js";
+import DerivationPool, {LockedError} from "./derivationpool.js";
+import Sync from "./sync.js";
+import Changes from "./changes.js";
+import LocalStore from "./localstore.js";
+import Domain from "./domain.js";
+import Profiles from "./profiles.js";
+import PaperBackup from "./paperbackup.js";
+import Validation from "./validation.js";
+import Strength from "./strength.js";
+import Updates from "./updates.js";
+
+Logger.subscribe(notify);
 
 if ("serviceWorker" in navigator) {
-    navigator.serviceWorker
-        .register("serviceworker.js")
-        .then(() => {
-            Logger.log("service worker registered");
-        });
+    Updates.register(offerAppUpdate, offerDataUpdate)
+        .then(() => Logger.info("Service worker registered."))
+        .catch(error => Logger.warn("Cannot install the application for offline use: " + error.message,
+            "Offline use unavailable"));
+    navigator.serviceWorker.addEventListener("controllerchange", renderAppVersion);
 }
 
 /**
@@ -19,19 +37,51 @@ if ("serviceWorker" in navigator) {
 window.addEventListener('DOMContentLoaded', async () => {
     // check for APIs
     if (!window.crypto || !window.crypto.subtle || !window.TextEncoder || !window.TextDecoder) {
-        Logger.log("Browser lacks API support, get a new one");
+        Logger.error("Browser lacks API support, get a new one");
         return;
     }
 
     registerListeners();
-
-    // load config file contents into Config object
-    const response = await fetch('data/config.txt');
-    const responseText = await response.text();
-    Config.servicesEncrypted = responseText.trim().replace(/[\r\n]/g, "");
-    Logger.debug("Load encrypted services configuration from file (finished).");
+    updateSyncOffer();
+    readDeepLink();
+    renderAppVersion();
+    await renderProfiles();
+    await loadConfig();
+    await renderConfigVersion();
 });
 
+/**
+ * Loads the encrypted config of the selected profile into the Config object, preferring the sync server if
+ * configured.
+ */
+async function loadConfig() {
+    const {syncUrl, syncToken} = Settings.load();
+    let synced = null;
+    if (syncUrl) {
+        try {
+            synced = await Sync.download(syncUrl, syncToken);
+        } catch (error) {
+            Logger.warn("Cannot load config from sync server, loading local config: " + error.message,
+                "Sync server unavailable");
+        }
+    }
+    if (synced !== null) {
+        Config.servicesEncrypted = synced.text.trim().replace(/[\r\n]/g, "");
+        Config.syncEtag = synced.etag;
+        Logger.debug("Load encrypted services configuration from sync server (finished).");
+        return;
+    }
+    const profile = profiles.find(profile => profile.name === Profiles.current);
+    try {
+        const responseText = await Profiles.loadConfig(profile);
+        Config.servicesEncrypted = responseText.trim().replace(/[\r\n]/g, "");
+        Config.syncEtag = null;
+        Logger.debug("Load encrypted services configuration from file (finished).");
+    } catch (error) {
+        Logger.error(`Cannot load config of profile ${profile.name}: ${error.message}`, "Cannot load config");
+    }
+}
+
 /**
  * Registers event listeners for input fields and buttons.
  */
@@ -58,262 +108,2018 @@ function registerListeners() {
     Util.addListener("#decrypt-config", "click", () => {
         importMainKey().then(decryptConfig);
     }); // try decryption, when button clicked
-    Util.addListener("#derive-keys", "click", deriveServiceKeys);
-    Util.addListener("#export-config", "click", encryptConfig);
+    Util.addListener("#derive-keys", "click", async () => {
+        if (Config.services === undefined) {
+            Logger.warn("Please enter the main secret before deriving passwords.", "Locked");
+            return;
+        }
+        await deriveServiceKeys();
+    });
+    Util.addListener("#export-config", "click", () => reviewChanges(encryptConfig));
+    Util.addListener("#upgrade-config", "click", encryptConfig); // export re-keys outdated configs
+    Util.addListener("#sync-config", "click", () => reviewChanges(syncConfig));
+
+    // register listeners for pending changes
+    Util.addListener("#pending-changes", "click", showChanges);
+    Util.addListener("#config-problems", "click", showConfigIssues);
+    Util.addListener("#repair-config", "click", () => {
+        repairConfig(Validation.check(Config.document).filter(issue => !issue.confirm));
+    });
+    Util.addListener("#changes-export", "click", () => {
+        bootstrap.Modal.getInstance(document.querySelector("#changes-dialog")).hide();
+        encryptConfig();
+    });
+    Util.addListener("#changes-sync", "click", () => {
+        bootstrap.Modal.getInstance(document.querySelector("#changes-dialog")).hide();
+        syncConfig();
+    });
 
     // register listener for filter change
-    Util.addListener("#filter-text", "input", event => {
-        updateFilter(event.target.value.toLowerCase());
+    Util.addListener("#filter-text", "input", updateFilter);
+
+    Util.addListener("#action-clear-filter", "click", clearFilter);
+
+    // register listeners for keyboard shortcuts
+    document.addEventListener("keydown", handleShortcut, true); // before dialogs close on Escape
+    Util.addListener("#show-shortcuts", "click", showShortcuts);
+
+    Util.addListener("#reload-update", "click", () => applyUpdate?.());
+
+    // register listeners for the message log
+    Util.addListener("#show-message-log", "click", showMessageLog);
+    Util.addListener("#clear-message-log", "click", () => {
+        Logger.clear();
+        renderMessageLog();
     });
 
-    Util.addListener("#action-clear-filter", "click", () => {
-        document.querySelector("#filter-text").value = '';
-        updateFilter('');
+    // register listeners for deep links like #service=login.example.org
+    window.addEventListener("hashchange", readDeepLink);
+    document.querySelector("#bookmarklet").href = "javascript:void(window.open("
+        + JSON.stringify(location.origin + location.pathname + "#service=")
+        + "+encodeURIComponent(location.hostname),'m41nk3y'))";
+
+    // register listeners for importing config files by file picker or drag and drop
+    Util.addListener("#import-config", "click", () => {
+        document.querySelector("#import-config-file").click();
+    });
+    Util.addListener("#import-config-file", "change", async event => {
+        const file = event.target.files[0];
+        event.target.value = ""; // allow choosing the same file again
+        if (file) await importConfigFile(file);
+    });
+    Util.addListener("body", "dragover", event => {
+        event.preventDefault(); // allow dropping files
+        document.body.classList.add("drop-target");
+    });
+    Util.addListener("body", "dragleave", event => {
+        if (event.relatedTarget === null) document.body.classList.remove("drop-target");
     });
+    Util.addListener("body", "drop", async event => {
+        event.preventDefault(); // prevent browser from opening the file
+        document.body.classList.remove("drop-target");
+        const file = event.dataTransfer.files[0];
+        if (file) await importConfigFile(file);
+    });
+    Util.addListener("#import-dialog .action-import-replace", "click", replaceWithImport);
+    Util.addListener("#import-dialog .action-import-merge", "click", mergeWithImport);
 
-    function updateFilter(filterString) {
-        const hiddenClass = 'hidden';
-        const serviceElements = document.querySelector(".service-list").children;
-        for (const service of serviceElements) {
-            const serviceNameLowerCase = service.querySelector(".service-name").innerText.toLowerCase();
-            if (serviceNameLowerCase.includes(filterString)) {
-                service.classList.remove(hiddenClass);
-            } else {
-                service.classList.add(hiddenClass);
-            }
-        }
+    // register listeners for paper backups
+    Util.addListener("#show-paper-backup", "click", showPaperBackup);
+    Util.addListener("#print-paper-backup", "click", () => window.print());
+    Util.addListener("#paper-backup", "hidden.bs.modal", () => document.body.classList.remove("printing-backup"));
+    Util.addListener("#show-paper-restore", "click", showPaperRestore);
+    Util.addListener("#paper-restore-input", "input", checkPaperRestore);
+    Util.addListener("#paper-restore-download", "click", () => Download.downloadFile(restoredConfig));
+    Util.addListener("#paper-restore-load", "click", loadRestoredConfig);
+
+    // register listeners for password age view
+    Util.addListener("#show-password-ages", "click", showPasswordAges);
+    Util.addListener("#show-strength-report", "click", showStrengthReport);
+    for (const header of document.querySelectorAll("#password-ages th")) {
+        header.addEventListener("click", () => {
+            ageSorting.descending = ageSorting.key === header.dataset.sort ? !ageSorting.descending : false;
+            ageSorting.key = header.dataset.sort;
+            renderPasswordAges();
+        });
     }
 
+    // register listeners for profiles
+    Util.addListener("#profile-select", "change", event => switchProfile(event.target.value));
+    Util.addListener("#edit-profiles", "click", showProfileEditor);
+    Util.addListener("#add-profile", "click", addProfile);
+
+    // register listeners for settings and locking
+    Util.addListener("#edit-settings", "click", showSettings);
+    Util.addListener("#save-settings", "click", saveSettings);
+    Util.addListener("#lock", "click", () => lock("Locked."));
+
+    // register listeners for custom pattern editor
+    Util.addListener("#edit-patterns", "click", showPatternEditor);
+    Util.addListener("#add-pattern", "click", addPattern);
+
+    // register listeners for main secret rotation
+    Util.addListener("#rotate-secret", "click", showRotation);
+    Util.addListener("#rotation-start", "click", startRotation);
+    Util.addListener("#rotation-finish", "click", finishRotation);
+    Util.addListener("#rotation-discard", "click", discardRotation);
+
     // register click listener for new service input form elements
     Util.addListener("#add-new-service-name", "click", async () => {
         const newServiceName = document.querySelector("#new-service-name");
         newServiceName.value = newServiceName.value.trim();
+        if (Config.services === undefined) {
+            Logger.warn("Please enter the main secret before adding services.", "Locked");
+            return;
+        }
         // validate service name
-        if (null === newServiceName.value.match(/\w+[.]\w+/)) {
-            Logger.log("Invalid service name to add.");
+        if (!Config.isValidServiceName(newServiceName.value)) {
+            Logger.warn("Invalid service name to add.");
         } else {
-            await renderServiceToList(Config.addService(newServiceName.value));
+            const service = Config.addService(newServiceName.value);
+            if (service === undefined) return;
+            configChanged();
+            await renderServiceToList(service);
             newServiceName.value = ""; // reset input field
         }
     });
+    Util.addListener("#new-service-name", "keydown", event => {
+        if (event.key === "Enter") document.querySelector("#add-new-service-name").click();
+    });
 }
 
 /**
  * Imports the user secret from the password field to a CryptoKey object.
  * Stores the main key imported from user input to Config.userSecret.
- * Stores the AES key for config file decryption to Config.configKeyAES.
  */
 async function importMainKey() {
     Logger.debug("Import main key from user input");
-    Config.userSecret = await window.crypto.subtle.importKey( // create CryptoKey from input main password
-        "raw",
-        Converter.encodeFromText(document.querySelector("#m41nk3y").value.trim()),
-        "PBKDF2",
-        false,
-        ["deriveKey"]);
-    const salt = "config";
-    const iterationsCount = 1000;
-    Config.configKeyAES = await deriveKey(Config.userSecret, salt, iterationsCount);
+    Config.userSecret = await Core.importSecret(document.querySelector("#m41nk3y").value);
 }
 
 /**
- * Attempts to decrypt services configuration with Config.configKeyAES.
+ * Attempts to decrypt services configuration with the main key. The config key is derived with the parameters stated
+ * by the config container and stored to Config.configKeyAES.
  */
 async function decryptConfig() {
-    const initVectorLength = 32;
-    const initVector = Converter.encodeFromHexString(Config.servicesEncrypted.substring(0, initVectorLength)); // extract init vector
-    const payload = Config.servicesEncrypted.substring(initVectorLength); // cut off init vector from payload
+    let container;
     try {
-        const configAsArrayBuffer = await window.crypto.subtle.decrypt(
-            {name: "AES-CBC", iv: initVector},
-            Config.configKeyAES,
-            Converter.encodeFromHexString(payload)
-        );
-        const decodedConfig = Converter.decodeToText(configAsArrayBuffer);
-        Config.services = JSON.parse(decodedConfig);
-        document.querySelector("#decrypt-config").classList.replace("btn-danger", "btn-success");
-        Logger.debug("Decrypt services configuration for " + Config.services.length + " services (finished)");
-        await deriveServiceKeys();
-        document.querySelector("#filter-text").focus(); // move cursor to filter input without extra click
-    } catch (result) {
-        Logger.log("Wrong main key: " + result, "Wrong main key");
+        container = Container.parse(Config.servicesEncrypted);
+    } catch (error) {
+        Logger.error("Cannot read config: " + error.message, "Invalid config file");
+        document.querySelector("#decrypt-config").classList.replace("btn-success", "btn-danger");
+        return;
+    }
+    let decrypted;
+    try {
+        decrypted = await Core.decryptConfig(container, Config.userSecret);
+    } catch (error) {
+        if (error instanceof MalformedConfigError) {
+            Logger.error("Config decrypted, but malformed: " + error.message, "Malformed config");
+        } else {
+            Logger.error("Wrong main key: " + error, "Wrong main key");
+        }
         document.querySelector("#decrypt-config").classList.replace("btn-success", "btn-danger");
+        return;
     }
+    adoptConfig(container, decrypted.configKey, decrypted.config);
+    document.querySelector("#decrypt-config").classList.replace("btn-danger", "btn-success");
+    Logger.debug("Decrypt services configuration for " + Config.services.length + " services (finished)");
+    await showUnlockedConfig();
 }
 
 /**
- * Derives raw service keys for all services configured with the given count of iterations. Patterns are applied later.
+ * Shows the config adopted on unlocking: restores unsaved changes of an earlier session, starts locking after idle
+ * time and renders the services.
  */
-async function deriveServiceKeys() {
-    document.querySelector(".service-list").textContent = ""; // remove all services from list
+async function showUnlockedConfig() {
+    baseline = structuredClone(Config.document);
+    await restoreDraft();
+    updateChangeIndicator();
+    startAutoLock(); // before rendering, so the application locks even if rendering fails
+    const derivation = deriveServiceKeys(); // renders service entries right away
+    if (!checkConfig() && !focusBestMatch()) {
+        document.querySelector("#filter-text").focus(); // move cursor to filter input without extra click
+    }
+    await derivation;
+}
 
-    const progressLabel = document.querySelector("#decrypt-config");
-    const startTime = Date.now();
-    let servicesLoaded = 0;
-    for (const service of Config.services) { // process all services configured
-        let iterations = 1;
-        if (service.iterations !== undefined && !isNaN(parseInt(service.iterations, 10))) {
-            iterations = parseInt(service.iterations, 10);
+/**
+ * Makes a decrypted config the active one.
+ *
+ * @param {ContainerContents} container parsed config container
+ * @param {CryptoKey} configKey config key derived for the container
+ * @param {ConfigDocument} config decrypted config
+ */
+function adoptConfig(container, configKey, config) {
+    Config.services = config.services;
+    Config.patterns = config.patterns;
+    Config.configKeyAES = configKey;
+    Config.configKdf = container.kdf;
+    Config.configCipher = container.cipher.name;
+    Config.configVersion = container.version;
+    updateUpgradeOffer();
+}
+
+/**
+ * Imported config waiting for the user to choose between replace and merge. Configs loaded from the sync server
+ * carry their ETag, which the loaded config is based on after replacing or merging.
+ *
+ * @type {?{fileName: string, container: ContainerContents, configKey: CryptoKey, config: ConfigDocument,
+ *     encrypted: string, etag: (string|null|undefined)}}
+ */
+let pendingImport = null;
+
+/**
+ * Decrypts a config file chosen by the user with the current main key and offers to replace or merge the services
+ * configured so far.
+ *
+ * @param {File} file encrypted config file
+ */
+async function importConfigFile(file) {
+    await importMainKey();
+    await offerImport(file.name, await file.text());
+}
+
+/**
+ * Decrypts an encrypted config with the current main key and offers to replace or merge the services configured so
+ * far.
+ *
+ * @param {string} name name of the config shown to the user
+ * @param {string} text encrypted config
+ * @param {?string} [etag] ETag of a config loaded from the sync server
+ */
+async function offerImport(name, text, etag) {
+    const encrypted = text.trim().replace(/[\r\n]/g, "");
+    let container;
+    try {
+        container = Container.parse(encrypted);
+    } catch (error) {
+        Logger.error(`Cannot read config file ${name}: ${error.message}`, "Invalid config file");
+        return;
+    }
+    try {
+        const {config, configKey} = await Core.decryptConfig(container, Config.userSecret);
+        pendingImport = {fileName: name, container, configKey, config, encrypted, etag};
+    } catch (error) {
+        if (error instanceof MalformedConfigError) {
+            Logger.error(`${name} has been decrypted, but is malformed: ${error.message}`, "Malformed config");
         } else {
-            service.iterations = 1; // set iterations to 1 when missing
+            Logger.error(`Wrong main key for ${name}: ${error}`, "Wrong main key");
         }
-        await renderServiceToList(service);
-        servicesLoaded++;
-        progressLabel.textContent = `${servicesLoaded.toString()} of ${Config.services.length} loaded`;
+        return;
     }
-    progressLabel.textContent = `${servicesLoaded.toString()} loaded in ${Date.now() - startTime} ms`;
+    const importedServices = pendingImport.config.services;
+    Logger.debug(`Decrypt imported configuration for ${importedServices.length} services (finished)`);
+
+    const dialog = document.querySelector("#import-dialog");
+    const loaded = Config.services !== undefined;
+    dialog.querySelector(".import-summary").textContent = `${name} contains ${importedServices.length} `
+        + (loaded ? `services, ${Config.services.length} services are loaded.` : "services.");
+    dialog.querySelector(".import-conflicts").textContent = "";
+    dialog.querySelector(".action-import-merge").classList.toggle("hidden", !loaded);
+    dialog.querySelector(".action-import-replace").classList.remove("hidden");
+    bootstrap.Modal.getOrCreateInstance(dialog).show();
 }
 
 /**
- * Returns the services key.
+ * Replaces the loaded config by the pending import including its encryption parameters. While locked, the import
+ * becomes the loaded config and unlocks the application like decrypting the loaded config.
+ */
+async function replaceWithImport() {
+    const {container, configKey, config, encrypted, etag} = pendingImport;
+    const locked = Config.services === undefined;
+    adoptConfig(container, configKey, config);
+    if (locked) {
+        Config.servicesEncrypted = encrypted;
+        if (etag !== undefined) Config.syncEtag = etag;
+        pendingImport = null;
+        bootstrap.Modal.getOrCreateInstance(document.querySelector("#import-dialog")).hide();
+        await renderConfigVersion();
+        await showUnlockedConfig();
+        return;
+    }
+    if (etag !== undefined) { // the server config is the loaded one now
+        Config.syncEtag = etag;
+        Config.servicesEncrypted = encrypted;
+        resetBaseline();
+    } else {
+        configChanged();
+    }
+    pendingImport = null;
+    bootstrap.Modal.getOrCreateInstance(document.querySelector("#import-dialog")).hide();
+    const derivation = deriveServiceKeys();
+    checkConfig();
+    await derivation;
+}
+
+/**
+ * Merges the pending import into the loaded services and lists conflicting services and custom patterns to be
+ * resolved one by one.
+ */
+async function mergeWithImport() {
+    const dialog = document.querySelector("#import-dialog");
+    if (pendingImport.etag !== undefined) { // save over the merged server config, listing changes against it
+        Config.syncEtag = pendingImport.etag;
+        Config.servicesEncrypted = pendingImport.encrypted;
+        baseline = structuredClone(pendingImport.config);
+    }
+    const patternConflicts = Config.mergePatterns(pendingImport.config.patterns);
+    const {added, conflicts} = Config.mergeServices(pendingImport.config.services);
+    dialog.querySelector(".import-summary").textContent = `${added.length} services added, `
+        + (conflicts.length + patternConflicts.length > 0
+            ? `${conflicts.length} services and ${patternConflicts.length} patterns differ:` : "no conflicts.");
+    dialog.querySelector(".action-import-merge").classList.add("hidden");
+    dialog.querySelector(".action-import-replace").classList.add("hidden");
+    pendingImport = null;
+    configChanged();
+
+    const conflictList = dialog.querySelector(".import-conflicts");
+    conflictList.textContent = "";
+    for (const {current, imported} of conflicts) {
+        const fragment = document.importNode(document.querySelector("#conflict-template").content, true);
+        const conflictElement = fragment.querySelector(".import-conflict");
+        fragment.querySelector(".conflict-name").innerText =
+            current.name === imported.name ? current.name : `${imported.name}, an alias of ${current.name}`;
+        const renamed = (current.salt ?? current.name) !== (imported.salt ?? imported.name);
+        const describe = service => (renamed ? `derived from ${service.salt ?? service.name}, ` : "")
+            + `${service.pattern ?? Patterns.defaultPattern}, ${service.iterations ?? 1} iterations, `
+            + `v${service.algorithm ?? 1}`;
+        const keepButton = fragment.querySelector(".action-keep-current");
+        keepButton.innerText = `Keep loaded: ${describe(current)}`;
+        keepButton.addEventListener("click", () => conflictElement.remove());
+        const useButton = fragment.querySelector(".action-use-imported");
+        useButton.innerText = `Use imported: ${describe(imported)}`;
+        useButton.addEventListener("click", async () => {
+            Config.replaceService(imported, current);
+            configChanged();
+            conflictElement.remove();
+            await deriveServiceKeys();
+        });
+        conflictList.appendChild(fragment);
+    }
+    for (const {name, current, imported} of patternConflicts) {
+        const fragment = document.importNode(document.querySelector("#conflict-template").content, true);
+        const conflictElement = fragment.querySelector(".import-conflict");
+        fragment.querySelector(".conflict-name").innerText = `Pattern ${name}`;
+        const keepButton = fragment.querySelector(".action-keep-current");
+        keepButton.innerText = `Keep loaded: ${describePattern(name, current)}`;
+        keepButton.addEventListener("click", () => conflictElement.remove());
+        const useButton = fragment.querySelector(".action-use-imported");
+        useButton.innerText = `Use imported: ${describePattern(name, imported)}`;
+        useButton.addEventListener("click", async () => {
+            Config.addPattern(name, imported);
+            configChanged();
+            conflictElement.remove();
+            await deriveServiceKeys(); // passwords of services using the pattern change
+        });
+        conflictList.appendChild(fragment);
+    }
+    await deriveServiceKeys();
+}
+
+/**
+ * Describes a custom pattern definition, which may be invalid, by its label.
  *
- * @param service service to get the key for
- * @returns {Promise<string>} derived key
+ * @param {string} name pattern name
+ * @param {CustomPattern} definition custom pattern
+ * @returns {string} pattern label
  */
-async function getKey(service) {
-    const aesKey = await deriveKey(Config.userSecret, service.name, 1000 + service.iterations);
-    const arrayBuffer = await window.crypto.subtle.exportKey("raw", aesKey); // export key for display
-    const keyBytes = new Uint8Array(arrayBuffer);
-    if (service.pattern === undefined) service.pattern = Object.getOwnPropertyNames(Patterns.templates)[0];
-    const templateClass = Patterns.templates[service.pattern];
-    const template = templateClass[keyBytes[0] % templateClass.length];
-    return template.split("").map(function (c, i) {
-        const characters = Patterns.keycharacters[c];
-        return characters[keyBytes[i + 1] % characters.length];
-    }).join("");
+function describePattern(name, definition) {
+    const valid = Validation.validPatterns({services: [], patterns: {[name]: definition}});
+    return Object.hasOwn(valid, name) ? Patterns.label(name, valid) : "invalid definition";
 }
 
 /**
- * Renders service entry including the derived key to the service list.
+ * Config as loaded, exported or saved last, to list and undo the changes made since.
  *
- * @param {Service} service service entry object
+ * @type {?ConfigDocument}
  */
-async function renderServiceToList(service) {
-    const serviceKey = await getKey(service); // derive key for this service
+let baseline = null;
 
-    // import document fragment from HTML template and fill with service data
-    const serviceList = document.querySelector(".service-list");
-    const fragment = document.importNode(document.querySelector("#entry-template").content, true);
-    const serviceElement = fragment.querySelector(".service-entry");
+/**
+ * Config key and its parameters for storing drafts of configs in legacy format or with outdated parameters, whose
+ * config key cannot be used for the current container format.
+ *
+ * @type {?{configKey: CryptoKey, kdf: KdfParameters}}
+ */
+let draftKey = null;
 
-    // fill service name and add delete button listener
-    fragment.querySelector(".service-name").innerText = service.name;
-    fragment.querySelector(".action-delete").addEventListener("click", () => {
-        Config.removeService(service.name);
-        serviceList.removeChild(serviceElement);
-    });
+/**
+ * Pending draft storage, so drafts are stored in order of changes.
+ */
+let storing = Promise.resolve();
 
-    // fill service password and listeners for copy and qr code buttons
-    const passwordElement = fragment.querySelector(".service-password code");
-    passwordElement.innerText = serviceKey;
-    fragment.querySelector('.action-copy').addEventListener('click', () => {
-        navigator.clipboard.writeText(passwordElement.textContent);
-    });
-    fragment.querySelector('.action-reveal').addEventListener('click', () => {
-        passwordElement.classList.toggle('revealed');
-    });
-    fragment.querySelector('.action-show-qrcode').addEventListener('click', () => {
-        showQrCode(serviceKey);
-    });
+/**
+ * Updates the unsaved changes indicator and stores the changed config encrypted in the IndexedDB. To be called after
+ * every change of the loaded config.
+ */
+function configChanged() {
+    const changed = updateChangeIndicator();
+    updateIssueIndicator();
+    renderConfigVersion();
+    const profile = Profiles.current;
+    storing = storing.then(async () => {
+        if (Config.services === undefined || profile !== Profiles.current) return; // locked or switched meanwhile
+        if (baseline === null) return; // changes cannot be told, keep the draft of an earlier session
+        if (!changed) {
+            await LocalStore.clear(profile);
+            return;
+        }
+        if (!Container.isOutdated(Config.configKdf, Config.configCipher)) {
+            draftKey = {configKey: Config.configKeyAES, kdf: Config.configKdf};
+        } else if (draftKey === null || draftKey.configKey === Config.configKeyAES) {
+            draftKey = await Core.createConfigKey(Config.userSecret);
+        }
+        await LocalStore.save(profile, {
+            config: await Core.encryptConfig(Config.document, draftKey.configKey, draftKey.kdf),
+            base: Config.servicesEncrypted,
+            date: new Date().toISOString()
+        });
+    }).catch(error => Logger.error("Cannot store unsaved changes: " + error, "Cannot store changes"));
+}
+
+/**
+ * Makes the current config the baseline for listing changes, e.g. after exporting it, and removes the stored draft.
+ */
+function resetBaseline() {
+    baseline = structuredClone(Config.document);
+    configChanged();
+}
 
-    // fill pattern selector
-    const selectElement = fragment.querySelector("select");
-    for (const template of Object.getOwnPropertyNames(Patterns.templates)) {
-        selectElement.add(new Option(template, template, // TODO display human-readable pattern label
-            template === service.pattern, template === service.pattern));
+/**
+ * Restores unsaved changes stored by an earlier session. Changes based on the config just loaded are applied
+ * directly, changes based on another config are offered for merging.
+ */
+async function restoreDraft() {
+    let draft;
+    try {
+        draft = await LocalStore.load(Profiles.current);
+    } catch (error) {
+        Logger.error("Cannot load unsaved changes: " + error, "Cannot load changes");
+        return;
     }
-    selectElement.addEventListener("change", async () => {
-        service.pattern = selectElement.value.trim();
-        passwordElement.innerText = await getKey(service);
-    });
+    if (draft === null) return;
+    const date = new Date(draft.date).toLocaleString();
+    if (draft.base !== Config.servicesEncrypted) {
+        Logger.log(`Unsaved changes of ${date} are based on another config and offered for merging.`);
+        await offerImport(`Unsaved changes of ${date}`, draft.config);
+        return;
+    }
+    try {
+        const {config} = await Core.decryptConfig(Container.parse(draft.config), Config.userSecret);
+        Config.services = config.services;
+        Config.patterns = config.patterns;
+        Logger.success(`Unsaved changes of ${date} restored.`, "Unsaved changes restored");
+    } catch (error) {
+        if (error instanceof MalformedConfigError) {
+            Logger.warn("Stored unsaved changes are malformed: " + error.message, "Cannot restore changes");
+        } else {
+            Logger.warn("Unsaved changes were stored for another main secret: " + error, "Cannot restore changes");
+        }
+    }
+}
 
-    // fill iterations config and register change listener
-    const iterationsCountElement = fragment.querySelector(".iterations-count");
-    iterationsCountElement.innerText = service.iterations.toString();
+/**
+ * Shows the count of unsaved changes.
+ *
+ * @returns {boolean} true, if there are unsaved changes
+ */
+function updateChangeIndicator() {
+    const count = baseline === null || Config.services === undefined
+        ? 0 : Changes.diff(baseline, Config.document).length;
+    const indicator = document.querySelector("#pending-changes");
+    indicator.classList.toggle("hidden", count === 0);
+    indicator.querySelector(".change-count").innerText = `${count} unsaved ${count === 1 ? "change" : "changes"}`;
+    return count > 0;
+}
 
-    const iterationsCountObserver = new MutationObserver(async () => {
-        const value = iterationsCountElement.innerText;
-        if (value) {
-            service.iterations = parseInt(iterationsCountElement.innerText);
-            passwordElement.innerText = await getKey(service);
-        }
-    });
-    iterationsCountObserver.observe(iterationsCountElement, {childList: true});
+/**
+ * Lists the unsaved changes before exporting or saving the config. Without changes, the config is exported or saved
+ * right away.
+ *
+ * @param {function(): Promise<void>} save exports or saves the config
+ */
+async function reviewChanges(save) {
+    if (updateChangeIndicator()) showChanges();
+    else await save();
+}
 
-    const iterationsCountMinimum = 1;
-    const buttonDecrement = fragment.querySelector(".action-iterations-decrement");
-    buttonDecrement.addEventListener("click", () => {
-        const iterationsCount = parseInt(iterationsCountElement.innerText);
-        if (iterationsCount > iterationsCountMinimum) { // prevent settings counts below 1
-            iterationsCountElement.innerText = (iterationsCount - 1).toString();
-        }
-        if (iterationsCount - 1 === iterationsCountMinimum) {
-            buttonDecrement.classList.add("disabled");
-        }
-    })
-    if (parseInt(iterationsCountElement.innerHTML) <= iterationsCountMinimum) {
-        buttonDecrement.classList.add("disabled");
+/**
+ * Shows the unsaved changes with buttons to undo them one by one.
+ */
+function showChanges() {
+    renderChanges();
+    document.querySelector("#changes-sync").classList.toggle("hidden", !Settings.load().syncUrl);
+    bootstrap.Modal.getOrCreateInstance(document.querySelector("#changes-dialog")).show();
+}
+
+/**
+ * Renders the list of unsaved changes.
+ */
+function renderChanges() {
+    const changeList = document.querySelector("#changes-dialog .change-list");
+    changeList.textContent = "";
+    const changes = Changes.diff(baseline, Config.document);
+    document.querySelector("#changes-dialog .changes-summary").textContent = changes.length === 0
+        ? "No unsaved changes." : "Changes since the config was loaded or saved:";
+    for (const change of changes) {
+        const fragment = document.importNode(document.querySelector("#change-template").content, true);
+        fragment.querySelector(".change-description").innerText = `${change.type} ${change.kind} ${change.name}`
+            + (change.details.length > 0 ? `: ${change.details.join(", ")}` : "");
+        fragment.querySelector(".action-undo").addEventListener("click", async () => {
+            await undoChange(change);
+            renderChanges();
+        });
+        changeList.appendChild(fragment);
     }
-    fragment.querySelector(".action-iterations-increment").addEventListener("click", () => {
-        iterationsCountElement.innerText = (parseInt(iterationsCountElement.innerText) + 1).toString();
-        buttonDecrement.classList.remove("disabled");
-    });
-    serviceList.appendChild(fragment);
 }
 
 /**
- * Creates a QR code from a string and display it as a modal.
+ * Restores a service or pattern as it was in the baseline config.
  *
- * @param {string} text string to convert and display as a QR code
+ * @param {Change} change change to undo
  */
-function showQrCode(text) {
-    let qr = qrcode(4, "M"); // type number and error correction level
-    qr.addData(text);
-    qr.make();
-    let qrCodeSvgTag = qr.createSvgTag({cellSize: 4});
+async function undoChange(change) {
+    if (change.kind === "service") {
+        Config.restoreService(change.name, baseline.services.find(service => service.name === change.name));
+    } else if (!Config.restorePattern(change.name, baseline.patterns[change.name])) {
+        return;
+    }
+    configChanged();
+    await deriveServiceKeys();
+}
 
-    // update content and show modal
-    let qrCodeContainer = document.querySelector("#qrcode");
-    qrCodeContainer.querySelector(".modal-content").innerHTML = qrCodeSvgTag;
-    new bootstrap.Modal(qrCodeContainer).show();
+/**
+ * Checks the loaded config for problems and shows them, if any.
+ *
+ * @returns {boolean} true, if the config has problems
+ */
+function checkConfig() {
+    const problems = updateIssueIndicator() > 0;
+    if (problems && pendingImport === null) showConfigIssues(); // not on top of the import dialog
+    return problems;
 }
 
 /**
- * Derives configuration key or services keys from main key.
+ * Shows the count of problems of the loaded config.
  *
- * @param {CryptoKey} mainKey key to derive other key from
- * @param {string} salt salt for key derivation
- * @param {number} iterations hashing iterations
- * @returns {PromiseLike<CryptoKey>} promise containing the derived key
+ * @returns {number} count of problems
  */
-function deriveKey(mainKey, salt, iterations) {
-    return window.crypto.subtle.deriveKey({
-            name: "PBKDF2",
-            salt: Converter.encodeFromText(salt),
-            iterations: iterations,
-            hash: "SHA-512"
-        },
-        mainKey,
-        {name: "AES-CBC", length: 256},
-        true,
-        ["encrypt", "decrypt"]
-    );
+function updateIssueIndicator() {
+    const count = Config.services === undefined ? 0 : Validation.check(Config.document).length;
+    const indicator = document.querySelector("#config-problems");
+    indicator.classList.toggle("hidden", count === 0);
+    indicator.querySelector(".problem-count").innerText = `${count} config ${count === 1 ? "problem" : "problems"}`;
+    return count;
 }
 
 /**
- * Manages encryption of services configuration and its download as a file.
+ * Shows the problems of the loaded config with buttons to fix them one by one.
  */
-async function encryptConfig() {
-    const iv = window.crypto.getRandomValues(new Uint8Array(16));
-    if (Config.configKeyAES != null) {
-        const encryptedConfig = await window.crypto.subtle.encrypt(
-            {name: "AES-CBC", iv: iv},
-            Config.configKeyAES,
-            Converter.encodeFromText(JSON.stringify(Config.services))
-        );
-        const decodedEncryptedConfig = Converter.decodeToHexString(encryptedConfig);
-        const configToExport = Converter.decodeToHexString(iv) + decodedEncryptedConfig; // prepend init vector
-        Download.downloadFile(configToExport);
-    } else
-        Logger.debug("Please load service configuration before trying to export.", "No config to export");
+function showConfigIssues() {
+    renderConfigIssues();
+    bootstrap.Modal.getOrCreateInstance(document.querySelector("#config-issues")).show();
+}
+
+/**
+ * Renders the list of config problems.
+ */
+function renderConfigIssues() {
+    const issueList = document.querySelector("#config-issues .issue-list");
+    issueList.textContent = "";
+    const issues = Validation.check(Config.document);
+    document.querySelector("#config-issues .issues-summary").textContent = issues.length === 0
+        ? "No problems found." : "Problems found in the config, nothing is changed unless fixed:";
+    document.querySelector("#repair-config").disabled = !issues.some(issue => !issue.confirm);
+    for (const issue of issues) {
+        const fragment = document.importNode(document.querySelector("#issue-template").content, true);
+        fragment.querySelector(".issue-message").innerText = issue.message;
+        const fixButton = fragment.querySelector(".action-fix");
+        fixButton.innerText = issue.fix;
+        fixButton.addEventListener("click", () => {
+            if (issue.confirm && !window.confirm(`${issue.message} ${issue.fix}?`)) return;
+            repairConfig([issue]);
+        });
+        issueList.appendChild(fragment);
+    }
+}
+
+/**
+ * Applies the fixes of config problems and derives the passwords again.
+ *
+ * @param {ConfigIssue[]} issues problems to fix
+ */
+async function repairConfig(issues) {
+    for (const issue of issues) Validation.repair(Config.document, issue);
+    configChanged();
+    renderConfigIssues();
+    await deriveServiceKeys();
+}
+
+/**
+ * Shows the upgrade button, if the loaded config uses the legacy format or outdated key derivation parameters.
+ */
+function updateUpgradeOffer() {
+    const outdated = Container.isOutdated(Config.configKdf, Config.configCipher);
+    document.querySelector("#upgrade-config").classList.toggle("hidden", !outdated);
+}
+
+/**
+ * Services rendered to the service list by their service entry element.
+ *
+ * @type {WeakMap<Element, Service>}
+ */
+const renderedServices = new WeakMap();
+
+/**
+ * Hides service entries not matching the query entered into the filter input and orders the matching ones by rating,
+ * see Filter. Passwords of matching services are derived first.
+ */
+function updateFilter() {
+    const query = Filter.parse(document.querySelector("#filter-text").value);
+    const ranked = query.terms.length > 0;
+    DerivationPool.prioritize(service => Filter.matches(service, query));
+    const serviceElements = [...document.querySelectorAll(".service-list .service-entry")];
+    const scores = new Map(serviceElements.map(serviceElement =>
+        [serviceElement, Filter.score(renderedServices.get(serviceElement), query)]));
+    const ranking = serviceElements.filter(serviceElement => scores.get(serviceElement) > 0)
+        .sort((a, b) => scores.get(b) - scores.get(a)); // stable, equally rated services stay sorted by name
+    for (const serviceElement of serviceElements) {
+        serviceElement.classList.toggle("hidden", scores.get(serviceElement) === 0);
+        serviceElement.classList.toggle("top-match", ranked && serviceElement === ranking[0]);
+        serviceElement.style.order = ranked ? ranking.indexOf(serviceElement).toString() : "";
+    }
+}
+
+/**
+ * Clears the filter input and shows all services.
+ */
+function clearFilter() {
+    document.querySelector("#filter-text").value = "";
+    requestedHost = null;
+    updateFilter();
+}
+
+/**
+ * Provides the service entries shown, in the order of the filter rating.
+ *
+ * @returns {Element[]} visible service entries
+ */
+function visibleEntries() {
+    return [...document.querySelectorAll(".service-list .service-entry:not(.hidden)")]
+        .sort((a, b) => (Number(a.style.order) || 0) - (Number(b.style.order) || 0));
+}
+
+/**
+ * Handles keyboard shortcuts, see the shortcuts dialog. Shortcuts of single characters are ignored while typing into
+ * input fields. Open dialogs handle their keys themselves.
+ *
+ * @param {KeyboardEvent} event key event
+ */
+async function handleShortcut(event) {
+    if (document.querySelector(".modal.show") !== null) return;
+    const filterInput = document.querySelector("#filter-text");
+    if ((event.ctrlKey || event.metaKey) && event.key === "k") {
+        event.preventDefault();
+        filterInput.focus();
+        filterInput.select();
+        return;
+    }
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const target = event.target;
+    if (event.key === "Escape") {
+        if (target === filterInput && filterInput.value !== "") clearFilter();
+        else if (Config.services !== undefined) await lock("Locked.");
+        return;
+    }
+    const entries = visibleEntries();
+    if (target === filterInput) {
+        if (event.key === "Enter" && entries.length > 0) {
+            event.preventDefault();
+            entries[0].querySelector(".service-password .action-copy").click();
+        } else if (event.key === "ArrowDown" && entries.length > 0) {
+            event.preventDefault();
+            entries[0].focus();
+        }
+        return;
+    }
+    if (target.matches("input, textarea, select")) return;
+
+    const entry = target.closest(".service-entry");
+    const position = entries.indexOf(entry);
+    const actions = {
+        "/": () => {
+            filterInput.focus();
+            filterInput.select();
+        },
+        "?": showShortcuts,
+        "a": () => {
+            const newServiceName = document.querySelector("#new-service-name");
+            if (newServiceName.value === "" && Config.isValidServiceName(filterInput.value.trim())) {
+                newServiceName.value = filterInput.value.trim();
+            }
+            newServiceName.focus();
+        },
+        "ArrowDown": () => entries[Math.min(position + 1, entries.length - 1)]?.focus(),
+        "ArrowUp": () => position > 0 ? entries[position - 1].focus() : filterInput.focus()
+    };
+    if (entry !== null) {
+        const click = selector => () => entry.querySelector(selector).click();
+        Object.assign(actions, {
+            "c": click(".service-password .action-copy"),
+            "r": click(".service-password .action-reveal"),
+            "q": click(".service-password .action-show-qrcode"),
+            "+": click(".action-iterations-increment")
+        });
+        if (target === entry) actions["Enter"] = actions["c"]; // Enter on buttons clicks them
+    }
+    const action = actions[event.key];
+    if (action === undefined) return;
+    event.preventDefault();
+    action();
+    if (event.key.startsWith("Arrow")) document.activeElement.scrollIntoView({block: "nearest"});
+}
+
+/**
+ * Shows the keyboard shortcuts.
+ */
+function showShortcuts() {
+    bootstrap.Modal.getOrCreateInstance(document.querySelector("#shortcuts")).show();
+}
+
+/**
+ * Applies the update offered to the user by reloading the page, null if no update is offered.
+ *
+ * @type {?function(): void}
+ */
+let applyUpdate = null;
+
+/**
+ * Offers to reload the page to apply an update. Reloading locks the application, unsaved changes are restored after
+ * unlocking again.
+ *
+ * @param {string} message message describing the update
+ * @param {function(): void} apply function applying the update
+ */
+function offerUpdate(message, apply) {
+    applyUpdate = apply;
+    const prompt = document.querySelector("#update-available");
+    prompt.querySelector(".update-message").innerText = message + " Reload to apply it, unsaved changes are kept.";
+    prompt.classList.remove("hidden");
+}
+
+/**
+ * Offers to activate a new application version installed by the service worker.
+ *
+ * @param {?string} version new application version
+ */
+function offerAppUpdate(version) {
+    Logger.info(`Application version ${version ?? "unknown"} installed for activation.`);
+    offerUpdate(`Version ${version ?? "update"} of m41nk3y is available.`, () => Updates.activate());
+}
+
+/**
+ * Offers to reload the page after the service worker has cached a newer version of the config in use or of the
+ * profile manifest. Pending application updates reload the data as well.
+ *
+ * @param {string} url URL of the updated config or profile manifest
+ */
+function offerDataUpdate(url) {
+    Logger.info(`Newer version of ${url} cached.`);
+    if (applyUpdate !== null) return;
+    const profile = profiles.find(profile => profile.name === Profiles.current);
+    const reload = () => window.location.reload();
+    if (url === new URL(Profiles.manifestUrl, window.location.href).href) {
+        offerUpdate("The list of profiles has changed.", reload);
+    } else if (profile?.config !== undefined && url === new URL(profile.config, window.location.href).href
+        && Config.syncEtag === null) { // configs loaded from the sync server are always current
+        offerUpdate("A new version of the config is available.", reload);
+    }
+}
+
+/**
+ * Shows the application version served for offline use.
+ */
+async function renderAppVersion() {
+    document.querySelector("#versions .app-version").innerText =
+        await Updates.appVersion() ?? "(not installed for offline use)";
+}
+
+/**
+ * Shows format version and ID of the loaded encrypted config. The ID changes with every saved change of the config
+ * and equals the ID of its paper backups.
+ */
+async function renderConfigVersion() {
+    let version = "not loaded";
+    if (Config.servicesEncrypted !== undefined) {
+        try {
+            const contents = Container.parse(Config.servicesEncrypted);
+            version = `format ${contents.version}, ID ${await PaperBackup.backupId(Container.toBytes(contents))}`;
+        } catch (error) {
+            version = "unreadable";
+        }
+    }
+    document.querySelector("#versions .config-version").innerText = version;
+}
+
+/**
+ * Bootstrap classes marking messages by severity.
+ */
+const severityClasses = {
+    info: "text-bg-light",
+    notice: "text-bg-secondary",
+    success: "text-bg-success",
+    warning: "text-bg-warning",
+    error: "text-bg-danger"
+};
+
+/**
+ * Notifies the user about a logged message by a toast and, while the page is hidden, by a system notification if
+ * enabled in the settings. Info messages are shown in the message log only.
+ *
+ * @param {LogEntry} entry logged message
+ */
+function notify(entry) {
+    if (document.querySelector("#message-log").classList.contains("show")) renderMessageLog();
+    if (entry.level === "info") return;
+
+    const fragment = document.importNode(document.querySelector("#toast-template").content, true);
+    const toastElement = fragment.querySelector(".toast");
+    toastElement.classList.add(severityClasses[entry.level]);
+    toastElement.setAttribute("role", entry.level === "error" ? "alert" : "status");
+    toastElement.setAttribute("aria-live", entry.level === "error" ? "assertive" : "polite");
+    toastElement.querySelector(".toast-body").innerText = entry.notification;
+    toastElement.title = entry.message;
+    toastElement.addEventListener("hidden.bs.toast", () => toastElement.remove());
+    document.querySelector("#toasts").appendChild(fragment);
+    bootstrap.Toast.getOrCreateInstance(toastElement, {autohide: entry.level !== "error", delay: 5000}).show();
+
+    if (document.hidden && "Notification" in window && Notification.permission === "granted"
+        && Settings.load().systemNotifications) {
+        new Notification("m41nk3y", {body: entry.notification, icon: "gfx/m41nk3y-icon-192.png"});
+    }
+}
+
+/**
+ * Shows the messages logged since the application was locked.
+ */
+function showMessageLog() {
+    renderMessageLog();
+    bootstrap.Modal.getOrCreateInstance(document.querySelector("#message-log")).show();
+}
+
+/**
+ * Renders the logged messages to the message log, latest first.
+ */
+function renderMessageLog() {
+    const entries = Logger.entries.reverse();
+    const logList = document.querySelector("#message-log .log-list");
+    logList.textContent = "";
+    for (const entry of entries) {
+        const fragment = document.importNode(document.querySelector("#log-entry-template").content, true);
+        fragment.querySelector(".log-time").innerText = entry.date.toLocaleTimeString();
+        const level = fragment.querySelector(".log-level");
+        level.innerText = entry.level;
+        level.classList.add(severityClasses[entry.level]);
+        fragment.querySelector(".log-message").innerText = entry.message;
+        logList.appendChild(fragment);
+    }
+    document.querySelector("#message-log .log-empty").classList.toggle("hidden", entries.length > 0);
+}
+
+/**
+ * Host of a site passed by deep link or bookmarklet, whose best matching service is focused.
+ *
+ * @type {?string}
+ */
+let requestedHost = null;
+
+/**
+ * Opens the service passed by a deep link of the form #service=HOST, if any.
+ */
+function readDeepLink() {
+    const host = new URLSearchParams(window.location.hash.substring(1)).get("service");
+    if (host) openService(host);
+}
+
+/**
+ * Filters the services by a host and focuses the best matching service. While locked, the service is focused after
+ * unlocking.
+ *
+ * @param {string} host host name or URL of a site
+ */
+function openService(host) {
+    if (!Domain.isHost(host)) {
+        Logger.warn(`Cannot open service for invalid host ${host}.`, "Invalid host");
+        return;
+    }
+    requestedHost = Domain.normalize(host);
+    document.querySelector("#filter-text").value = requestedHost;
+    if (Config.services === undefined) {
+        document.querySelector("#m41nk3y").focus();
+        return;
+    }
+    updateFilter();
+    focusBestMatch();
+}
+
+/**
+ * Highlights and focuses the service entry matching the requested host best.
+ *
+ * @returns {boolean} true, if a service entry has been focused
+ */
+function focusBestMatch() {
+    const serviceElements = [...document.querySelectorAll(".service-list .service-entry")];
+    serviceElements.forEach(serviceElement => serviceElement.classList.remove("best-match"));
+    if (requestedHost === null) return false;
+    const best = Domain.bestMatch(serviceElements.map(serviceElement => renderedServices.get(serviceElement)),
+        requestedHost);
+    const serviceElement = serviceElements.find(serviceElement => renderedServices.get(serviceElement) === best);
+    if (serviceElement === undefined) return false;
+    serviceElement.classList.add("best-match");
+    serviceElement.scrollIntoView({block: "center"});
+    serviceElement.querySelector(".action-copy").focus();
+    return true;
+}
+
+/**
+ * Renders all services configured and derives their passwords in parallel. Service entries are shown right away and
+ * filled with their password as soon as it has been derived.
+ */
+async function deriveServiceKeys() {
+    document.querySelector(".service-list").textContent = ""; // remove all services from list
+
+    const progressLabel = document.querySelector("#decrypt-config");
+    const startTime = Date.now();
+    let servicesLoaded = 0;
+    const derivations = Config.services.map(service => { // process all services configured
+        return renderServiceToList(service).then(() => {
+            servicesLoaded++;
+            progressLabel.textContent = `${servicesLoaded.toString()} of ${Config.services.length} loaded`;
+        });
+    });
+    updateFilter();
+    await Promise.all(derivations);
+    progressLabel.textContent = `${servicesLoaded.toString()} loaded in ${Date.now() - startTime} ms`;
+}
+
+/**
+ * Returns the services key.
+ *
+ * @param service service to get the key for
+ * @param {CryptoKey} [mainKey] main key to derive the service key from
+ * @returns {Promise<string>} derived key
+ */
+function getKey(service, mainKey = Config.userSecret) {
+    return DerivationPool.derive(service, mainKey, customPatterns());
+}
+
+/**
+ * Provides the custom patterns of the loaded config passing validation. Invalid ones are reported by checkConfig()
+ * and can neither be labelled nor derived with until repaired.
+ *
+ * @returns {Object<string, CustomPattern>} valid custom patterns by name
+ */
+function customPatterns() {
+    return Validation.validPatterns(Config.document);
+}
+
+/**
+ * Renders service entry to the service list. The derived key is filled in when available.
+ *
+ * @param {Service} service service entry object
+ * @returns {Promise<void>} promise fulfilled when the password has been filled in
+ */
+function renderServiceToList(service) {
+    // import document fragment from HTML template and fill with service data
+    const serviceList = document.querySelector(".service-list");
+    const fragment = document.importNode(document.querySelector("#entry-template").content, true);
+    const serviceElement = fragment.querySelector(".service-entry");
+
+    // fill service name and add delete button listener
+    renderedServices.set(serviceElement, service);
+    fragment.querySelector(".service-name").innerText = service.name;
+    fragment.querySelector(".action-delete").addEventListener("click", () => {
+        Config.removeService(service.name);
+        configChanged();
+        serviceList.removeChild(serviceElement);
+    });
+
+    // fill service password when derived and listeners for copy and qr code buttons
+    const passwordElement = fragment.querySelector(".service-password code");
+    let derivation = 0;
+    async function updatePassword() {
+        const current = ++derivation; // ignore passwords of outdated settings derived after later ones
+        passwordElement.parentElement.classList.add("deriving");
+        try {
+            const password = await getKey(service);
+            if (current === derivation) passwordElement.innerText = password;
+        } catch (error) {
+            if (!(error instanceof LockedError)) {
+                Logger.error(`Cannot derive password of ${service.name}: ${error.message}`, "Cannot derive password");
+            }
+        }
+        if (current === derivation) passwordElement.parentElement.classList.remove("deriving");
+    }
+    fragment.querySelector('.action-copy').addEventListener('click', () => {
+        copyPassword(passwordElement.textContent);
+    });
+    fragment.querySelector('.action-reveal').addEventListener('click', () => {
+        passwordElement.classList.toggle('revealed');
+    });
+    fragment.querySelector('.action-show-qrcode').addEventListener('click', () => {
+        showQrCode(passwordElement.textContent);
+    });
+
+    // fill metadata and listeners for copying the username and editing the metadata
+    renderServiceMetadata(fragment, service);
+    fragment.querySelector(".action-copy-username").addEventListener("click", async () => {
+        try {
+            await navigator.clipboard.writeText(service.username ?? "");
+        } catch (error) {
+            Logger.error("Cannot copy username: " + error.message, "Cannot copy username");
+        }
+    });
+    const editElement = fragment.querySelector(".service-edit");
+    fragment.querySelector(".action-edit").addEventListener("click", () => {
+        editElement.querySelector(".edit-name").value = service.name;
+        editElement.querySelector(".edit-aliases").value = (service.aliases ?? []).join(", ");
+        editElement.querySelector(".edit-username").value = service.username ?? "";
+        editElement.querySelector(".edit-url").value = service.url ?? "";
+        editElement.querySelector(".edit-tags").value = (service.tags ?? []).join(", ");
+        editElement.querySelector(".edit-notes").value = service.notes ?? "";
+        editElement.classList.toggle("hidden");
+    });
+    editElement.querySelector(".action-save-metadata").addEventListener("click", () => {
+        const name = editElement.querySelector(".edit-name").value.trim();
+        const aliases = editElement.querySelector(".edit-aliases").value.split(",");
+        if (name !== service.name) {
+            if (!Config.isValidServiceName(name)) {
+                Logger.warn(`Invalid service name ${name}.`, "Invalid service name");
+                return;
+            }
+            const previousName = service.name;
+            if (!Config.renameService(service, name)) return;
+            aliases.push(previousName); // keep the alias added by renaming, which the edited aliases lack
+            serviceElement.querySelector(".service-name").innerText = service.name;
+        }
+        Config.setAliases(service, aliases);
+        Config.updateMetadata(service, {
+            username: editElement.querySelector(".edit-username").value,
+            url: editElement.querySelector(".edit-url").value,
+            tags: editElement.querySelector(".edit-tags").value.split(","),
+            notes: editElement.querySelector(".edit-notes").value
+        });
+        configChanged();
+        editElement.classList.add("hidden");
+        renderServiceMetadata(serviceElement, service);
+        updateFilter();
+    });
+
+    // fill pattern selector, patterns exceeding the service's derivation algorithm are disabled
+    const selectElement = fragment.querySelector(".pattern-select");
+    const pattern = service.pattern ?? Patterns.defaultPattern;
+    const patterns = customPatterns();
+    for (const template of Patterns.names(patterns)) {
+        selectElement.add(new Option(`${template}: ${Patterns.label(template, patterns)}`, template,
+            template === pattern, template === pattern));
+    }
+    const algorithmElement = fragment.querySelector(".algorithm-select");
+    algorithmElement.value = (service.algorithm ?? 1).toString();
+    function updateSelectableOptions() {
+        const algorithm = service.algorithm ?? 1;
+        for (const option of selectElement.options) {
+            option.disabled = Patterns.requiredAlgorithm(option.value, patterns) > algorithm;
+        }
+        algorithmElement.querySelector("option[value='1']").disabled =
+            Patterns.requiredAlgorithm(service.pattern ?? Patterns.defaultPattern, patterns) > 1;
+    }
+    updateSelectableOptions();
+    renderPatternStrength(serviceElement, service);
+    selectElement.addEventListener("change", async () => {
+        service.pattern = selectElement.value.trim();
+        configChanged();
+        updateSelectableOptions();
+        renderPatternStrength(serviceElement, service);
+        await updatePassword();
+    });
+    algorithmElement.addEventListener("change", async () => {
+        service.algorithm = parseInt(algorithmElement.value, 10);
+        configChanged();
+        updateSelectableOptions();
+        renderPatternStrength(serviceElement, service);
+        await updatePassword();
+    });
+
+    // fill iterations config and register change listener
+    const iterationsCountElement = fragment.querySelector(".iterations-count");
+    iterationsCountElement.innerText = String(service.iterations ?? 1);
+
+    const iterationsCountObserver = new MutationObserver(async () => {
+        const value = iterationsCountElement.innerText;
+        if (value) {
+            Config.setIterations(service, parseInt(iterationsCountElement.innerText));
+            configChanged();
+            await Promise.all([updatePassword(), renderRotationState(serviceElement, service)]);
+        }
+    });
+    iterationsCountObserver.observe(iterationsCountElement, {childList: true});
+
+    const iterationsCountMinimum = 1;
+    const buttonDecrement = fragment.querySelector(".action-iterations-decrement");
+    buttonDecrement.addEventListener("click", () => {
+        const iterationsCount = parseInt(iterationsCountElement.innerText);
+        if (iterationsCount > iterationsCountMinimum) { // prevent settings counts below 1
+            iterationsCountElement.innerText = (iterationsCount - 1).toString();
+        }
+        if (iterationsCount - 1 === iterationsCountMinimum) {
+            buttonDecrement.classList.add("disabled");
+        }
+    })
+    if (parseInt(iterationsCountElement.innerHTML) <= iterationsCountMinimum) {
+        buttonDecrement.classList.add("disabled");
+    }
+    fragment.querySelector(".action-iterations-increment").addEventListener("click", () => {
+        iterationsCountElement.innerText = (parseInt(iterationsCountElement.innerText) + 1).toString();
+        buttonDecrement.classList.remove("disabled");
+    });
+
+    // fill previous password and age, register listeners for previous password
+    const previousPasswordElement = fragment.querySelector(".service-previous-password code");
+    fragment.querySelector(".service-previous-password .action-copy").addEventListener("click", () => {
+        copyPassword(previousPasswordElement.textContent);
+    });
+    fragment.querySelector(".service-previous-password .action-reveal").addEventListener("click", () => {
+        previousPasswordElement.classList.toggle("revealed");
+    });
+    serviceList.appendChild(fragment);
+    return Promise.all([updatePassword(), renderRotationState(serviceElement, service)]).then(() => undefined);
+}
+
+/**
+ * Days after a rotation during which the previous password of a service is shown.
+ */
+const previousPasswordDays = 7;
+
+/**
+ * Fills the password age of a service entry and shows the previous password, if the service has been rotated
+ * recently, as sites usually ask for the current password when changing it.
+ *
+ * @param {DocumentFragment|Element} entry service entry
+ * @param {Service} service service entry object
+ */
+async function renderRotationState(entry, service) {
+    const lastRotation = Config.lastRotation(service);
+    const age = daysSince(lastRotation);
+    entry.querySelector(".service-age").innerText = formatAge(age);
+
+    const previousIterations = Config.previousIterations(service);
+    const showPrevious = previousIterations !== undefined && age !== undefined && age < previousPasswordDays;
+    entry.querySelector(".service-previous-password").classList.toggle("hidden", !showPrevious);
+    entry.querySelector(".service-previous-password code").innerText = showPrevious
+        ? await getKey({...service, iterations: previousIterations}).catch(() => "") : "";
+}
+
+/**
+ * Computes the count of full days passed since a date.
+ *
+ * @param {Date|undefined} date date in the past
+ * @returns {number|undefined} count of days or undefined, if the date is unknown
+ */
+function daysSince(date) {
+    return date === undefined ? undefined : Math.floor((Date.now() - date.getTime()) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Formats the age of a password.
+ *
+ * @param {number|undefined} days days since the last rotation
+ * @returns {string} human-readable age
+ */
+function formatAge(days) {
+    if (days === undefined) return "rotation date unknown";
+    if (days === 0) return "last rotated today";
+    return `last rotated ${days} ${days === 1 ? "day" : "days"} ago`;
+}
+
+/**
+ * Sort order of the password age view.
+ */
+const ageSorting = {key: "age", descending: true};
+
+/**
+ * Shows services sorted by password age, stalest first by default.
+ */
+function showPasswordAges() {
+    if (Config.services === undefined) {
+        Logger.warn("Please load service configuration before showing password ages.", "No config loaded");
+        return;
+    }
+    renderPasswordAges();
+    bootstrap.Modal.getOrCreateInstance(document.querySelector("#password-ages")).show();
+}
+
+/**
+ * Renders the rows of the password age view in the current sort order. Services without a recorded rotation are
+ * treated as the stalest ones.
+ */
+function renderPasswordAges() {
+    const keys = {
+        name: service => service.name,
+        iterations: service => service.iterations ?? 1,
+        age: service => daysSince(Config.lastRotation(service)) ?? Number.POSITIVE_INFINITY
+    };
+    const key = keys[ageSorting.key];
+    const services = [...Config.services].sort((a, b) => {
+        const order = key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0;
+        return ageSorting.descending ? -order : order;
+    });
+
+    const tableBody = document.querySelector("#password-ages tbody");
+    tableBody.textContent = "";
+    for (const service of services) {
+        const row = tableBody.insertRow();
+        row.insertCell().innerText = service.name;
+        row.insertCell().innerText = String(service.iterations ?? 1);
+        row.insertCell().innerText = formatAge(daysSince(Config.lastRotation(service)));
+    }
+    for (const header of document.querySelectorAll("#password-ages th")) {
+        const sorted = header.dataset.sort === ageSorting.key;
+        header.querySelector(".sort-indicator").innerText = sorted ? (ageSorting.descending ? "▼" : "▲") : "";
+    }
+}
+
+/**
+ * Bootstrap classes marking the strength ratings of patterns.
+ */
+const ratingClasses = {weak: "text-bg-danger", fair: "text-bg-warning", strong: "text-bg-success"};
+
+/**
+ * Fills the entropy of the pattern next to the pattern selector of a service entry, explained by its title.
+ *
+ * @param {Element} entry service entry
+ * @param {Service} service service entry object
+ */
+function renderPatternStrength(entry, service) {
+    const strength = Strength.pattern(service.pattern ?? Patterns.defaultPattern, customPatterns(),
+        service.algorithm ?? 1);
+    const strengthElement = entry.querySelector(".pattern-strength");
+    strengthElement.classList.remove(...Object.values(ratingClasses));
+    strengthElement.classList.toggle("hidden", strength === undefined);
+    if (strength === undefined) return;
+    strengthElement.classList.add(ratingClasses[strength.rating]);
+    strengthElement.innerText = `${Math.floor(strength.bits)} bits`;
+    strengthElement.title = describeStrength(strength);
+}
+
+/**
+ * Explains the entropy of a pattern by the selection of a template and the character classes of its positions.
+ *
+ * @param {PatternStrength} strength pattern strength
+ * @returns {string} explanation, one line per template
+ */
+function describeStrength(strength) {
+    const summary = `${strength.rating}, ${strength.bits.toFixed(1)} bits`;
+    if (strength.templates.length === 0) return summary + " from the choice of words";
+    const lines = [`${summary}, ${strength.templateBits.toFixed(1)} bits of which from selecting one of `
+        + `${strength.templates.length} templates`];
+    for (const {template, probability, bits, positions} of strength.templates) {
+        const counts = new Map();
+        for (const {identifier, size} of positions) {
+            counts.set(identifier, {size, count: (counts.get(identifier)?.count ?? 0) + 1});
+        }
+        const classes = [...counts].map(([identifier, {size, count}]) => `${count} × ${identifier} (${size})`);
+        lines.push(`${template}: ${(100 * probability).toFixed(1)} %, ${bits.toFixed(1)} bits, ${classes.join(", ")}`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Shows the strength report of the loaded config.
+ */
+function showStrengthReport() {
+    if (Config.services === undefined) {
+        Logger.warn("Please load service configuration before showing the strength report.", "No config loaded");
+        return;
+    }
+    renderStrengthReport();
+    bootstrap.Modal.getOrCreateInstance(document.querySelector("#strength-report")).show();
+}
+
+/**
+ * Renders the weaknesses of the loaded config and the entropy of the patterns in use, weakest first.
+ */
+function renderStrengthReport() {
+    const report = document.querySelector("#strength-report");
+    const findings = Strength.audit(Config.document, Config.configKdf);
+    const definitions = customPatterns();
+    const usages = new Map();
+    for (const service of Config.services) {
+        const key = JSON.stringify([service.pattern ?? Patterns.defaultPattern, service.algorithm ?? 1]);
+        usages.set(key, (usages.get(key) ?? []).concat(service.name));
+    }
+    const patterns = [...usages].map(([key, names]) => {
+        const [name, algorithm] = JSON.parse(key);
+        return {algorithm, names, strength: Strength.pattern(name, definitions, algorithm) ?? {name, bits: 0}};
+    }).sort((a, b) => a.strength.bits - b.strength.bits);
+
+    const count = rating => patterns.filter(({strength}) => strength.rating === rating)
+        .reduce((sum, {names}) => sum + names.length, 0);
+    report.querySelector(".strength-summary").innerText = `${Config.services.length} services: ${count("weak")} `
+        + `weak, ${count("fair")} fair and ${count("strong")} strong passwords, ${findings.length} findings.`;
+
+    const findingList = report.querySelector(".strength-findings");
+    findingList.textContent = "";
+    for (const finding of findings) {
+        const findingElement = document.createElement("li");
+        findingElement.innerText = finding.message;
+        findingList.appendChild(findingElement);
+    }
+
+    const tableBody = report.querySelector(".strength-patterns");
+    tableBody.textContent = "";
+    for (const {algorithm, names, strength} of patterns) {
+        const row = tableBody.insertRow();
+        row.insertCell().innerText = `${strength.name}: ${Patterns.label(strength.name, definitions)}`;
+        row.insertCell().innerText = `v${algorithm}`;
+        const badge = row.insertCell().appendChild(document.createElement("span"));
+        badge.className = `badge ${ratingClasses[strength.rating] ?? "text-bg-secondary"}`;
+        badge.innerText = `${Math.floor(strength.bits)} bits`;
+        if (strength.rating !== undefined) badge.title = describeStrength(strength);
+        row.insertCell().innerText = names.join(", ");
+    }
+}
+
+/**
+ * Fills username, URL, notes and tags of a service entry.
+ *
+ * @param {DocumentFragment|Element} entry service entry
+ * @param {Service} service service entry object
+ */
+function renderServiceMetadata(entry, service) {
+    const aliasesElement = entry.querySelector(".service-aliases");
+    aliasesElement.classList.toggle("hidden", service.aliases === undefined);
+    aliasesElement.innerText = (service.aliases ?? []).join(", ");
+
+    const usernameElement = entry.querySelector(".service-username");
+    usernameElement.classList.toggle("hidden", service.username === undefined);
+    usernameElement.querySelector(".username").innerText = service.username ?? "";
+
+    const urlElement = entry.querySelector(".service-url");
+    urlElement.classList.toggle("hidden", service.url === undefined);
+    urlElement.innerText = service.url ?? "";
+    urlElement.href = service.url === undefined || /^https?:\/\//i.test(service.url)
+        ? service.url ?? "" : "https://" + service.url; // never follow other schemes such as javascript:
+
+    const tagsElement = entry.querySelector(".service-tags");
+    tagsElement.textContent = "";
+    for (const tag of service.tags ?? []) {
+        const tagElement = document.createElement("span");
+        tagElement.className = "badge text-bg-secondary";
+        tagElement.innerText = tag;
+        tagElement.addEventListener("click", () => { // filter by tag on click
+            document.querySelector("#filter-text").value = `tag:${tag.toLowerCase()}`;
+            updateFilter();
+        });
+        tagsElement.appendChild(tagElement);
+    }
+
+    const notesElement = entry.querySelector(".service-notes");
+    notesElement.classList.toggle("hidden", service.notes === undefined);
+    notesElement.innerText = service.notes ?? "";
+}
+
+/**
+ * Shows the editor for custom patterns of the loaded config.
+ */
+function showPatternEditor() {
+    if (Config.services === undefined) {
+        Logger.warn("Please load service configuration before editing patterns.", "No config loaded");
+        return;
+    }
+    renderPatternList();
+    document.querySelector("#pattern-editor .pattern-errors").textContent = "";
+    bootstrap.Modal.getOrCreateInstance(document.querySelector("#pattern-editor")).show();
+}
+
+/**
+ * Lists the custom patterns of the loaded config with delete buttons.
+ */
+function renderPatternList() {
+    const patternList = document.querySelector("#pattern-editor .pattern-list");
+    patternList.textContent = "";
+    const patterns = customPatterns();
+    for (const name of Object.getOwnPropertyNames(Config.patterns)) {
+        const fragment = document.importNode(document.querySelector("#pattern-template").content, true);
+        fragment.querySelector(".pattern-name").innerText =
+            `${name}: ${Object.hasOwn(patterns, name) ? Patterns.label(name, patterns) : "invalid definition"}`;
+        fragment.querySelector(".action-delete").addEventListener("click", async () => {
+            if (Config.removePattern(name)) {
+                configChanged();
+                renderPatternList();
+                await deriveServiceKeys();
+            } else {
+                document.querySelector("#pattern-editor .pattern-errors").textContent =
+                    `Pattern ${name} is still used by services.`;
+            }
+        });
+        patternList.appendChild(fragment);
+    }
+}
+
+/**
+ * Validates the custom pattern entered in the pattern editor and adds it to the loaded config.
+ */
+async function addPattern() {
+    const editor = document.querySelector("#pattern-editor");
+    const name = editor.querySelector("#pattern-name").value.trim();
+    const definition = {
+        length: Number(editor.querySelector("#pattern-length").value),
+        classes: [...editor.querySelectorAll(".pattern-class:checked")].map(checkbox => checkbox.value)
+    };
+    const label = editor.querySelector("#pattern-label").value.trim();
+    if (label !== "") definition.label = label;
+    const symbols = editor.querySelector("#pattern-symbols").value.trim();
+    if (symbols !== "") definition.symbols = symbols;
+    const forbidden = editor.querySelector("#pattern-forbidden").value.trim();
+    if (forbidden !== "") definition.forbidden = forbidden;
+
+    const errors = Patterns.validate(name, definition, Config.patterns);
+    editor.querySelector(".pattern-errors").textContent = errors.join(" ");
+    if (errors.length > 0) return;
+
+    Config.addPattern(name, definition);
+    configChanged();
+    editor.querySelector("form").reset();
+    renderPatternList();
+    await deriveServiceKeys(); // offer new pattern in all pattern selectors
+}
+
+/**
+ * Profiles available for selection.
+ *
+ * @type {Profile[]}
+ */
+let profiles = [];
+
+/**
+ * Lists the available profiles in the profile selector. If the selected profile is no longer available, the first
+ * one is selected.
+ */
+async function renderProfiles() {
+    try {
+        profiles = await Profiles.list();
+    } catch (error) {
+        Logger.error("Cannot list imported profiles: " + error, "Cannot list profiles");
+        profiles = [Profiles.defaultProfile];
+    }
+    if (!profiles.some(profile => profile.name === Profiles.current)) Profiles.select(profiles[0].name);
+
+    const selectElement = document.querySelector("#profile-select");
+    selectElement.textContent = "";
+    for (const profile of profiles) {
+        const label = (profile.label || profile.name) + (profile.local ? " (imported)" : "");
+        selectElement.add(new Option(label, profile.name, false, profile.name === Profiles.current));
+    }
+}
+
+/**
+ * Switches to another profile. Keys, services and the encrypted config of the current profile are wiped before
+ * loading the config of the selected profile.
+ *
+ * @param {string} name profile name
+ */
+async function switchProfile(name) {
+    await lock(`Switched to profile ${name}.`);
+    Profiles.select(name);
+    Config.servicesEncrypted = undefined;
+    Config.syncEtag = undefined;
+    Config.configKdf = undefined;
+    Config.configCipher = undefined;
+    Config.configVersion = undefined;
+    document.querySelector("#upgrade-config").classList.add("hidden");
+    document.querySelector("#decrypt-config").classList.replace("btn-danger", "btn-success");
+    document.querySelector("#profile-select").value = name;
+    updateSyncOffer();
+    await loadConfig();
+    await renderConfigVersion();
+}
+
+/**
+ * Shows the profile editor listing the imported profiles.
+ */
+function showProfileEditor() {
+    renderImportedProfiles();
+    document.querySelector("#profile-editor .profile-errors").textContent = "";
+    bootstrap.Modal.getOrCreateInstance(document.querySelector("#profile-editor")).show();
+}
+
+/**
+ * Lists the imported profiles with delete buttons.
+ */
+function renderImportedProfiles() {
+    const profileList = document.querySelector("#profile-editor .profile-list");
+    profileList.textContent = "";
+    for (const profile of profiles.filter(profile => profile.local)) {
+        const fragment = document.importNode(document.querySelector("#profile-template").content, true);
+        fragment.querySelector(".profile-name").innerText = `${profile.name}: ${profile.label || profile.name}`;
+        fragment.querySelector(".action-delete").addEventListener("click", async () => {
+            if (!window.confirm(`Remove profile ${profile.name} and its config from this browser?`)) return;
+            await Profiles.remove(profile.name);
+            await renderProfiles();
+            renderImportedProfiles();
+            if (profile.name !== Profiles.current) return;
+            await switchProfile(profiles[0].name);
+        });
+        profileList.appendChild(fragment);
+    }
+}
+
+/**
+ * Imports the config file chosen in the profile editor as a new profile and switches to it.
+ */
+async function addProfile() {
+    const editor = document.querySelector("#profile-editor");
+    const errors = editor.querySelector(".profile-errors");
+    const name = editor.querySelector("#profile-name").value.trim();
+    const label = editor.querySelector("#profile-label").value.trim() || name;
+    const file = editor.querySelector("#profile-file").files[0];
+    if (!/^[\w-]+$/.test(name)) {
+        errors.textContent = "The profile name may contain letters, digits, - and _ only.";
+        return;
+    }
+    if (profiles.some(profile => profile.name === name)) {
+        errors.textContent = `Profile ${name} already exists.`;
+        return;
+    }
+    if (file === undefined) {
+        errors.textContent = "Please choose an encrypted config file.";
+        return;
+    }
+    const config = (await file.text()).trim();
+    try {
+        Container.parse(config.replace(/[\r\n]/g, ""));
+    } catch (error) {
+        errors.textContent = `Cannot read config file ${file.name}: ${error.message}`;
+        return;
+    }
+
+    await Profiles.add(name, label, config);
+    editor.querySelector("form").reset();
+    errors.textContent = "";
+    bootstrap.Modal.getInstance(editor).hide();
+    await renderProfiles();
+    await switchProfile(name);
+}
+
+/**
+ * Copies a password to the clipboard, which is cleared after the configured time. Failures are reported to the user,
+ * e.g. the clipboard being unavailable on pages not served by HTTPS.
+ *
+ * @param {string} password password to copy
+ */
+async function copyPassword(password) {
+    const countdownElement = document.querySelector("#clipboard-countdown");
+    try {
+        await SecureClipboard.copy(password, Settings.load().clipboardSeconds, remaining => {
+            countdownElement.classList.toggle("hidden", remaining === 0);
+            countdownElement.querySelector(".countdown").innerText = remaining.toString();
+        });
+    } catch (error) {
+        Logger.error("Cannot copy password: " + error.message, "Cannot copy password");
+    }
+}
+
+/**
+ * Starts locking the application after the configured idle or hidden time.
+ */
+function startAutoLock() {
+    const settings = Settings.load();
+    AutoLock.start(settings.lockMinutes, settings.hiddenLockMinutes, lock);
+}
+
+/**
+ * Locks the application by wiping main key, config key, services and rendered passwords. The encrypted config stays
+ * loaded, so the main secret is asked for again to unlock.
+ *
+ * @param {string} reason message explaining why the application was locked
+ */
+async function lock(reason) {
+    AutoLock.stop();
+    DerivationPool.clear();
+    Config.userSecret = undefined;
+    Config.configKeyAES = undefined;
+    Config.services = undefined;
+    Config.patterns = undefined;
+    rotation = null; // rotation progress stays stored to be resumed
+    pendingImport = null;
+    baseline = null; // unsaved changes stay stored encrypted to be restored
+    draftKey = null;
+    updateChangeIndicator();
+    updateIssueIndicator();
+
+    for (const modal of document.querySelectorAll(".modal")) bootstrap.Modal.getInstance(modal)?.hide();
+    document.querySelector("#qrcode .modal-content").textContent = "";
+    document.querySelector("#rotation .rotation-list").textContent = "";
+    document.querySelector("#rotation").classList.add("hidden");
+    document.querySelector(".service-list").textContent = reason + " Please enter the main secret to show services.";
+    document.querySelector("#decrypt-config").lastChild.textContent = " Show";
+    const secretInput = document.querySelector("#m41nk3y");
+    secretInput.value = "";
+    secretInput.focus();
+    await SecureClipboard.clear();
+    Logger.clear(); // messages name services
+    document.querySelector("#toasts").textContent = "";
+    Logger.log(reason);
+}
+
+/**
+ * Shows the settings dialog filled with the current settings.
+ */
+function showSettings() {
+    const settings = Settings.load();
+    document.querySelector("#setting-lock-minutes").value = settings.lockMinutes;
+    document.querySelector("#setting-hidden-lock-minutes").value = settings.hiddenLockMinutes;
+    document.querySelector("#setting-clipboard-seconds").value = settings.clipboardSeconds;
+    document.querySelector("#setting-sync-url").value = settings.syncUrl;
+    document.querySelector("#setting-sync-token").value = settings.syncToken;
+    const systemNotifications = document.querySelector("#setting-system-notifications");
+    systemNotifications.checked = settings.systemNotifications;
+    systemNotifications.disabled = !("Notification" in window);
+    bootstrap.Modal.getOrCreateInstance(document.querySelector("#settings")).show();
+}
+
+/**
+ * Stores the settings entered in the settings dialog and applies them to the running session. Enabling system
+ * notifications asks the browser for permission.
+ */
+async function saveSettings() {
+    const read = selector => Math.max(0, parseInt(document.querySelector(selector).value, 10) || 0);
+    const systemNotifications = document.querySelector("#setting-system-notifications").checked;
+    Settings.save({
+        lockMinutes: read("#setting-lock-minutes"),
+        hiddenLockMinutes: read("#setting-hidden-lock-minutes"),
+        clipboardSeconds: read("#setting-clipboard-seconds"),
+        syncUrl: document.querySelector("#setting-sync-url").value.trim(),
+        syncToken: document.querySelector("#setting-sync-token").value.trim(),
+        systemNotifications: systemNotifications
+    });
+    if (Config.services !== undefined) startAutoLock();
+    updateSyncOffer();
+    bootstrap.Modal.getInstance(document.querySelector("#settings")).hide();
+    if (systemNotifications && "Notification" in window && await Notification.requestPermission() !== "granted") {
+        Logger.warn("System notifications are blocked by the browser, messages are shown on the page only.",
+            "System notifications blocked");
+    }
+}
+
+/**
+ * Creates a QR code from a string and display it as a modal.
+ *
+ * @param {string} text string to convert and display as a QR code
+ */
+function showQrCode(text) {
+    let qr = qrcode(0, "M"); // type number (0 detects the size needed) and error correction level
+    qr.addData(text);
+    qr.make();
+    let qrCodeSvgTag = qr.createSvgTag({cellSize: 4});
+
+    // update content and show modal
+    let qrCodeContainer = document.querySelector("#qrcode");
+    qrCodeContainer.querySelector(".modal-content").innerHTML = qrCodeSvgTag;
+    new bootstrap.Modal(qrCodeContainer).show();
+}
+
+/**
+ * Shows the loaded encrypted config as paper backup of numbered QR codes and checksummed hex lines to be printed.
+ */
+async function showPaperBackup() {
+    if (!Config.servicesEncrypted) {
+        Logger.warn("Please load a config before creating a paper backup.", "No config to back up");
+        return;
+    }
+    let sheet;
+    try {
+        sheet = await PaperBackup.create(Config.servicesEncrypted);
+    } catch (error) {
+        Logger.error("Cannot create paper backup: " + error.message, "Cannot create backup");
+        return;
+    }
+    const dialog = document.querySelector("#paper-backup");
+    const profile = profiles.find(profile => profile.name === Profiles.current);
+    dialog.querySelector(".backup-summary").textContent = `Encrypted config of profile ${profile.label}, backup `
+        + `${sheet.id} of ${new Date().toLocaleDateString()}, ${sheet.size} bytes in ${sheet.parts.length} QR codes `
+        + `or ${sheet.lines.length} lines. Restoring it requires the main secret.`;
+    dialog.querySelector(".backup-changes").classList.toggle("hidden", !updateChangeIndicator());
+    const codes = dialog.querySelector(".backup-codes");
+    codes.textContent = "";
+    sheet.parts.forEach((part, index) => {
+        const qr = qrcode(0, "M");
+        qr.addData(part, "Alphanumeric"); // parts are upper case hex, which QR codes store more compactly
+        qr.make();
+        const figure = document.createElement("figure");
+        figure.innerHTML = qr.createSvgTag({cellSize: 3});
+        const caption = document.createElement("figcaption");
+        caption.textContent = `${index + 1}/${sheet.parts.length}`;
+        figure.appendChild(caption);
+        codes.appendChild(figure);
+    });
+    dialog.querySelector(".backup-lines").textContent = [sheet.header, ...sheet.lines].join("\n");
+    document.body.classList.add("printing-backup"); // print the backup only
+    bootstrap.Modal.getOrCreateInstance(dialog).show();
+}
+
+/**
+ * Encrypted config reassembled from a paper backup.
+ *
+ * @type {?string}
+ */
+let restoredConfig = null;
+
+/**
+ * Counts checks of the paper backup input, so only the result of the latest check is shown.
+ */
+let restoreChecks = 0;
+
+/**
+ * Shows the dialog restoring a config from a paper backup.
+ */
+function showPaperRestore() {
+    document.querySelector("#paper-restore-input").value = "";
+    checkPaperRestore();
+    bootstrap.Modal.getOrCreateInstance(document.querySelector("#paper-restore")).show();
+}
+
+/**
+ * Reassembles the config from the paper backup input and reports missing and corrupted lines.
+ */
+async function checkPaperRestore() {
+    const check = ++restoreChecks;
+    const input = document.querySelector("#paper-restore-input").value;
+    const report = await PaperBackup.restore(input);
+    if (check !== restoreChecks) return; // input changed meanwhile
+
+    const unit = report.source === "parts" ? "QR codes" : "lines";
+    const messages = [];
+    if (report.config !== null) messages.push(`Backup ${report.id} is complete.`);
+    if (report.missing.length > 0) messages.push(`Missing ${unit}: ${report.missing.join(", ")}`);
+    if (report.corrupt.length > 0) messages.push(`Corrupted lines, check for typos: ${report.corrupt.join(", ")}`);
+    if (report.unreadable > 0) messages.push(`${report.unreadable} input lines not recognized`);
+    if (report.error !== null && input.trim() !== "") messages.push(report.error);
+    const reportElement = document.querySelector("#paper-restore .restore-report");
+    reportElement.innerText = messages.join("\n");
+    reportElement.classList.toggle("text-success", report.config !== null);
+    reportElement.classList.toggle("text-warning", report.config === null);
+
+    restoredConfig = report.config;
+    document.querySelector("#paper-restore-download").disabled = restoredConfig === null;
+    document.querySelector("#paper-restore-load").disabled = restoredConfig === null;
+}
+
+/**
+ * Loads the config restored from a paper backup. While services are shown, the restored config is offered for
+ * replacing or merging. Otherwise it replaces the loaded encrypted config and is decrypted with the main secret
+ * entered next.
+ */
+async function loadRestoredConfig() {
+    bootstrap.Modal.getInstance(document.querySelector("#paper-restore")).hide();
+    if (Config.services !== undefined) {
+        await offerImport("The restored paper backup", restoredConfig);
+        return;
+    }
+    Config.servicesEncrypted = restoredConfig.replace(/[\r\n]/g, "");
+    Config.syncEtag = null;
+    await renderConfigVersion();
+    Logger.success("Paper backup restored, enter the main secret to show services and export the config to keep it.",
+        "Paper backup restored");
+}
+
+/**
+ * Manages encryption of services configuration and its download as a file.
+ */
+async function encryptConfig() {
+    if (Config.configKeyAES != null) {
+        const configToExport = await serializeConfig();
+        const profile = profiles.find(profile => profile.name === Profiles.current);
+        if (profile.local) { // the exported config becomes the one stored for the profile
+            await Profiles.add(profile.name, profile.label, configToExport);
+            Download.downloadFile(configToExport, `${profile.name}.txt`);
+        } else {
+            Download.downloadFile(configToExport, profile.config.split("/").pop());
+        }
+        Config.servicesEncrypted = configToExport.replace(/[\r\n]/g, "");
+        resetBaseline();
+    } else
+        Logger.warn("Please load service configuration before trying to export.", "No config to export");
+}
+
+/**
+ * Encrypts the services configuration to a config container. Configs in legacy format or with outdated key
+ * derivation parameters are re-keyed with a fresh salt and the current default parameters before.
+ *
+ * @returns {Promise<string>} config container
+ */
+async function serializeConfig() {
+    if (Container.isOutdated(Config.configKdf, Config.configCipher)) {
+        Logger.debug("Re-key config with current key derivation parameters");
+        const {configKey, kdf} = await Core.createConfigKey(Config.userSecret);
+        Config.configKeyAES = configKey;
+        Config.configKdf = kdf;
+        Config.configCipher = Container.cipher.name;
+    }
+    const configToExport = await Core.encryptConfig(Config.document, Config.configKeyAES, Config.configKdf);
+    Config.configVersion = Container.version;
+    updateUpgradeOffer();
+    return configToExport;
+}
+
+/**
+ * Saves the encrypted services configuration to the sync server. If the config on the server has been changed since
+ * it was loaded, the server config is offered for merging and has to be saved again afterwards.
+ */
+async function syncConfig() {
+    const {syncUrl, syncToken} = Settings.load();
+    if (Config.configKeyAES == null) {
+        Logger.warn("Please load service configuration before trying to save.", "No config to save");
+        return;
+    }
+    try {
+        const configToSave = await serializeConfig();
+        const {saved, etag} = await Sync.upload(syncUrl, configToSave, Config.syncEtag, syncToken);
+        if (saved) {
+            Config.syncEtag = etag;
+            Config.servicesEncrypted = configToSave.replace(/[\r\n]/g, "");
+            resetBaseline();
+            Logger.success("Config saved to sync server.");
+            return;
+        }
+        Logger.warn("Config on the sync server has been changed meanwhile, merge and save again.", "Sync conflict");
+        const remote = await Sync.download(syncUrl, syncToken);
+        if (remote === null) { // removed meanwhile, save as new config next time
+            Config.syncEtag = null;
+            return;
+        }
+        await offerImport("The config on the sync server", remote.text, remote.etag);
+    } catch (error) {
+        Logger.error("Cannot save config to sync server: " + error.message, "Sync failed");
+    }
+}
+
+/**
+ * Shows the button saving to the sync server, if a sync URL is configured.
+ */
+function updateSyncOffer() {
+    document.querySelector("#sync-config").classList.toggle("hidden", !Settings.load().syncUrl);
+}
+
+/**
+ * Main secret rotation in progress, holding the new main key and the config key derived from it.
+ *
+ * @type {?{mainKey: CryptoKey, configKey: CryptoKey, kdf: KdfParameters, done: Set<string>}}
+ */
+let rotation = null;
+
+/**
+ * Shows the rotation section including the progress of an interrupted rotation.
+ */
+function showRotation() {
+    const section = document.querySelector("#rotation");
+    section.classList.remove("hidden");
+    const progress = Rotation.load();
+    section.querySelector(".rotation-status").textContent = progress === null
+        ? "Load the config with the old main secret, then enter the new main secret twice."
+        : `Interrupted rotation: ${progress.done.length} of ${progress.total} services changed. Load the config with `
+        + "the old main secret and enter the same new main secret twice to resume.";
+    section.querySelector("#rotation-secret").focus();
+}
+
+/**
+ * Starts or resumes a main secret rotation for the loaded config. Old and new passwords are listed for every service
+ * to be changed at the site one by one.
+ */
+async function startRotation() {
+    const status = document.querySelector("#rotation .rotation-status");
+    const newSecret = document.querySelector("#rotation-secret").value.trim();
+    if (Config.services === undefined) {
+        status.textContent = "Please load the config with the old main secret first.";
+        return;
+    }
+    if (newSecret === "" || newSecret !== document.querySelector("#rotation-secret-repeat").value.trim()) {
+        status.textContent = "The new main secrets do not match.";
+        return;
+    }
+    if (newSecret === document.querySelector("#m41nk3y").value.trim()) {
+        status.textContent = "The new main secret equals the old one.";
+        return;
+    }
+
+    const mainKey = await Core.importSecret(newSecret);
+    const progress = Rotation.load();
+    if (progress === null) {
+        const {configKey, kdf} = await Core.createConfigKey(mainKey);
+        const config = await Core.encryptConfig(Config.document, configKey, kdf);
+        rotation = {mainKey, configKey, kdf, done: new Set()};
+        Rotation.save({config: config, done: [], total: Config.services.length});
+    } else {
+        try {
+            const container = Container.parse(progress.config);
+            const {configKey} = await Core.decryptConfig(container, mainKey); // verifies the new main secret
+            rotation = {mainKey, configKey, kdf: container.kdf, done: new Set(progress.done)};
+        } catch (result) {
+            Logger.warn("New main secret differs from the interrupted rotation: " + result, "New main secret differs");
+            status.textContent = "The new main secret differs from the one of the interrupted rotation. "
+                + "Enter the same one or discard the rotation progress.";
+            return;
+        }
+    }
+    document.querySelector("#rotation-secret").value = "";
+    document.querySelector("#rotation-secret-repeat").value = "";
+    await renderRotationList();
+}
+
+/**
+ * Renders old and new password of every service for the rotation in progress. Passwords are filled in as soon as
+ * derived, services whose passwords cannot be derived show the error.
+ */
+async function renderRotationList() {
+    const rotationList = document.querySelector("#rotation .rotation-list");
+    rotationList.textContent = "";
+    const derivations = [];
+    for (const service of Config.services) {
+        const fragment = document.importNode(document.querySelector("#rotation-template").content, true);
+        const entry = fragment.querySelector(".rotation-entry");
+        fragment.querySelector(".service-name").innerText = service.name;
+        for (const [selector, mainKey] of [[".old-password", Config.userSecret], [".new-password", rotation.mainKey]]) {
+            const passwordElement = fragment.querySelector(`${selector} code`);
+            derivations.push(getKey(service, mainKey).then(password => {
+                passwordElement.innerText = password;
+            }, error => {
+                if (error instanceof LockedError) return; // locked while rendering
+                const errorElement = entry.querySelector(".rotation-error");
+                errorElement.innerText = `Cannot derive password of ${service.name}: ${error.message}`;
+                errorElement.classList.remove("hidden");
+            }));
+            fragment.querySelector(`${selector} .action-copy`).addEventListener("click", () => {
+                copyPassword(passwordElement.textContent);
+            });
+            fragment.querySelector(`${selector} .action-reveal`).addEventListener("click", () => {
+                passwordElement.classList.toggle("revealed");
+            });
+        }
+        const checkbox = fragment.querySelector("input[type=checkbox]");
+        checkbox.checked = rotation.done.has(service.name);
+        entry.classList.toggle("rotation-done", checkbox.checked);
+        checkbox.addEventListener("change", () => {
+            if (checkbox.checked) rotation.done.add(service.name);
+            else rotation.done.delete(service.name);
+            entry.classList.toggle("rotation-done", checkbox.checked);
+            saveRotationProgress();
+        });
+        rotationList.appendChild(fragment);
+    }
+    saveRotationProgress();
+    await Promise.all(derivations); // derived in parallel by the pool
+}
+
+/**
+ * Stores rotation progress and updates status and finish button.
+ */
+function saveRotationProgress() {
+    const progress = Rotation.load();
+    const done = Config.services.filter(service => rotation.done.has(service.name)).length;
+    Rotation.save({config: progress.config, done: [...rotation.done], total: Config.services.length});
+    document.querySelector("#rotation .rotation-status").textContent =
+        `${done} of ${Config.services.length} services changed at the site.`;
+    document.querySelector("#rotation-finish").disabled = done < Config.services.length;
+}
+
+/**
+ * Finishes the rotation by exporting the config encrypted with the new main secret, which becomes the active one.
+ */
+async function finishRotation() {
+    Config.userSecret = rotation.mainKey;
+    Config.configKeyAES = rotation.configKey;
+    Config.configKdf = rotation.kdf;
+    Config.configCipher = Container.cipher.name;
+    Config.configVersion = Container.version;
+    Config.services.forEach(service => Config.recordRotation(service));
+    rotation = null;
+    Rotation.clear();
+    document.querySelector("#m41nk3y").value = ""; // old main secret is no longer valid
+    document.querySelector("#rotation .rotation-list").textContent = "";
+    document.querySelector("#rotation").classList.add("hidden");
+    await encryptConfig();
+    await deriveServiceKeys();
+}
+
+/**
+ * Discards the rotation in progress including its stored progress.
+ */
+function discardRotation() {
+    rotation = null;
+    Rotation.clear();
+    document.querySelector("#rotation .rotation-list").textContent = "";
+    document.querySelector("#rotation-finish").disabled = true;
+    showRotation();
 }
@@ -0,0 +1,202 @@
+import Container from "./container.js";
+import Converter from "./convert.js";
+
+/**
+ * Paper backups of the encrypted config. The config container is encoded compactly as bytes and written as a header
+ * line followed by numbered hex lines, each ending with a CRC-16 checksum of line number and data, so typos are
+ * located when typing a backup in again. The same bytes are split into a numbered sequence of QR code parts. Every
+ * line and part carries the backup ID, the first bytes of the SHA-256 hash of all bytes, which verifies the
+ * reassembled config.
+ */
+/**
+ * @typedef PaperBackupSheet
+ * @type {object}
+ * @property {string} id - backup ID as hex string
+ * @property {number} size - count of encoded bytes
+ * @property {string} header - header line stating ID, line count and size
+ * @property {string[]} lines - numbered hex lines with checksums
+ * @property {string[]} parts - QR code parts
+ */
+/**
+ * @typedef RestoreReport
+ * @type {object}
+ * @property {?string} config - reassembled encrypted config or null, if incomplete or invalid
+ * @property {?string} id - backup ID found in the input
+ * @property {string} source - "lines" or "parts", depending on the input the config is reassembled from
+ * @property {number} total - count of lines or parts expected
+ * @property {number[]} missing - numbers of lines or parts missing
+ * @property {number[]} corrupt - numbers of lines failing their checksum
+ * @property {number} unreadable - count of input lines neither being a header, a hex line nor a QR code part
+ * @property {?string} error - reason the config cannot be reassembled although no line is missing or corrupt
+ */
+export default class PaperBackup {
+    /**
+     * Provides the count of bytes per hex line.
+     */
+    static get bytesPerLine() {
+        return 16;
+    }
+
+    /**
+     * Provides the count of bytes per QR code part, small enough to scan QR codes printed on paper reliably.
+     */
+    static get bytesPerPart() {
+        return 300;
+    }
+
+    /**
+     * Provides the prefix of QR code parts.
+     */
+    static get partPrefix() {
+        return "M41NK3Y";
+    }
+
+    /**
+     * Creates a paper backup of an encrypted config.
+     *
+     * @param {string} text encrypted config
+     * @returns {Promise<PaperBackupSheet>} backup lines and QR code parts
+     * @throws {Error} if the text is no valid config container
+     */
+    static async create(text) {
+        const bytes = Container.toBytes(Container.parse(text));
+        const id = await this.backupId(bytes);
+        const lines = [];
+        for (let offset = 0; offset < bytes.length; offset += this.bytesPerLine) {
+            const number = lines.length + 1;
+            const data = bytes.subarray(offset, offset + this.bytesPerLine);
+            const groups = Converter.decodeToHexString(data).match(/.{1,4}/g).join(" ");
+            lines.push(`${String(number).padStart(3, "0")}  ${groups}  ${this.checksum(number, data)}`);
+        }
+        const parts = [];
+        const partCount = Math.ceil(bytes.length / this.bytesPerPart);
+        for (let offset = 0; offset < bytes.length; offset += this.bytesPerPart) {
+            const data = Converter.decodeToHexString(bytes.subarray(offset, offset + this.bytesPerPart));
+            parts.push(`${this.partPrefix}:${parts.length + 1}/${partCount}:${id}:${data}`.toUpperCase());
+        }
+        const header = `m41nk3y backup ${id} ${lines.length} lines ${bytes.length} bytes`;
+        return {id, size: bytes.length, header, lines, parts};
+    }
+
+    /**
+     * Reassembles an encrypted config from pasted or typed backup lines or scanned QR code parts in any order.
+     * Complete QR code parts are preferred over hex lines.
+     *
+     * @param {string} input backup lines and QR code parts, one per line
+     * @returns {Promise<RestoreReport>} reassembled config or the lines missing and corrupt
+     */
+    static async restore(input) {
+        let header = null;
+        const lines = new Map();
+        const corrupt = new Set();
+        const parts = new Map();
+        let partInfo = null;
+        let unreadable = 0;
+        for (const line of input.split(/\r?\n/).map(line => line.trim()).filter(line => line !== "")) {
+            const headerMatch = /^m41nk3y backup ([0-9a-f]{8}) (\d+) lines (\d+) bytes$/i.exec(line);
+            const partMatch = /^M41NK3Y:(\d+)\/(\d+):([0-9A-F]{8}):((?:[0-9A-F]{2})+)$/i.exec(line);
+            const tokens = line.split(/\s+/);
+            if (headerMatch !== null) {
+                header = {id: headerMatch[1].toLowerCase(), total: parseInt(headerMatch[2], 10)};
+            } else if (partMatch !== null) {
+                partInfo ??= {total: parseInt(partMatch[2], 10), id: partMatch[3].toLowerCase()};
+                parts.set(parseInt(partMatch[1], 10), Converter.encodeFromHexString(partMatch[4]));
+            } else if (tokens.length >= 3 && /^\d+$/.test(tokens[0]) && tokens.slice(1).every(isHex)) {
+                const number = parseInt(tokens[0], 10);
+                const hex = tokens.slice(1, -1).join("");
+                const data = Converter.encodeFromHexString(hex);
+                const valid = hex.length % 2 === 0 && data.length <= this.bytesPerLine
+                    && tokens[tokens.length - 1].toLowerCase() === this.checksum(number, data);
+                if (valid) {
+                    lines.set(number, data);
+                    corrupt.delete(number);
+                } else if (!lines.has(number)) {
+                    corrupt.add(number);
+                }
+            } else {
+                unreadable++;
+            }
+        }
+
+        if (partInfo !== null && (lines.size === 0 || partInfo.total === parts.size)) {
+            return this.assemble("parts", parts, partInfo.total, partInfo.id, new Set(), unreadable);
+        }
+        if (header === null) {
+            const highest = Math.max(0, ...lines.keys(), ...corrupt);
+            const report = await this.assemble("lines", lines, highest, null, corrupt, unreadable);
+            return {...report, error: "Header line missing"};
+        }
+        return this.assemble("lines", lines, header.total, header.id, corrupt, unreadable);
+    }
+
+    /**
+     * Reassembles the config from lines or parts and verifies it by the backup ID.
+     *
+     * @param {string} source "lines" or "parts"
+     * @param {Map<number, Uint8Array>} chunks lines or parts by number
+     * @param {number} total count of lines or parts expected
+     * @param {?string} id backup ID
+     * @param {Set<number>} corrupt numbers of corrupt lines
+     * @param {number} unreadable count of unreadable input lines
+     * @returns {Promise<RestoreReport>} restore report
+     */
+    static async assemble(source, chunks, total, id, corrupt, unreadable) {
+        const missing = [];
+        for (let number = 1; number <= total; number++) {
+            if (!chunks.has(number) && !corrupt.has(number)) missing.push(number);
+        }
+        const report = {config: null, id, source, total, missing, corrupt: [...corrupt].sort((a, b) => a - b),
+            unreadable, error: null};
+        if (missing.length > 0 || corrupt.size > 0 || id === null || total === 0) return report;
+
+        const bytes = new Uint8Array([...chunks.entries()]
+            .filter(([number]) => number <= total)
+            .sort(([a], [b]) => a - b)
+            .flatMap(([, data]) => [...data]));
+        if (await this.backupId(bytes) !== id) return {...report, error: "Backup ID does not match the config"};
+        try {
+            return {...report, config: Container.stringify(Container.fromBytes(bytes))};
+        } catch (error) {
+            return {...report, error: error.message};
+        }
+    }
+
+    /**
+     * Computes the backup ID of encoded config bytes.
+     *
+     * @param {Uint8Array} bytes encoded config
+     * @returns {Promise<string>} first four bytes of the SHA-256 hash as hex string
+     */
+    static async backupId(bytes) {
+        const hash = await crypto.subtle.digest("SHA-256", bytes);
+        return Converter.decodeToHexString(hash.slice(0, 4));
+    }
+
+    /**
+     * Computes the CRC-16/CCITT checksum of a hex line, covering the line number to detect swapped lines as well.
+     *
+     * @param {number} number line number
+     * @param {Uint8Array} data line data
+     * @returns {string} checksum as four-digit hex string
+     */
+    static checksum(number, data) {
+        let crc = 0xffff;
+        for (const byte of [number >> 8 & 0xff, number & 0xff, ...data]) {
+            crc ^= byte << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x8000 ? (crc << 1 ^ 0x1021) & 0xffff : crc << 1 & 0xffff;
+            }
+        }
+        return crc.toString(16).padStart(4, "0");
+    }
+}
+
+/**
+ * Checks whether a token of a typed line consists of hex digits only.
+ *
+ * @param {string} token token to check
+ * @returns {boolean} true, if the token is a hex string
+ */
+function isHex(token) {
+    return /^[0-9a-f]+$/i.test(token);
+}
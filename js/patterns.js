@@ -1,5 +1,33 @@
+import WordList from "./wordlist.js";
+
+/**
+ * Provides patterns based on character classes and lengths for keys to be derived. Besides the built-in templates,
+ * custom patterns defined in the config are compiled to templates and character classes on the fly. Passphrase
+ * patterns combine words of a bundled word list instead.
+ */
+/**
+ * @typedef CustomPattern
+ * @type {object}
+ * @property {string} [label] - human-readable description
+ * @property {number} length - password length
+ * @property {string[]} classes - required character classes, any of lower, upper, digits and symbols
+ * @property {string} [symbols] - symbols allowed for the symbols class, defaults to the built-in symbols
+ * @property {string} [forbidden] - characters never to be used
+ */
 /**
- * Provides patterns based on character classes and lengths for keys to be derived.
+ * @typedef Passphrase
+ * @type {object}
+ * @property {number} words - count of words
+ * @property {string} separator - separator between words
+ * @property {boolean} capitalize - whether one of the words is capitalised
+ * @property {boolean} digit - whether a digit is appended to one of the words
+ */
+/**
+ * @typedef ResolvedPattern
+ * @type {object}
+ * @property {string[]} [templates] - templates of character class identifiers, one is selected per service key
+ * @property {Object<string, string>} [characters] - characters per character class identifier
+ * @property {Passphrase} [passphrase] - passphrase definition instead of templates and characters
  */
 export default class {
     /**
@@ -13,8 +41,218 @@ export default class {
             y16: ["aAnyyyyyyyyyyyya", "ayyyyyyyyyyyAnya", "ayyAyynyyyyyyyya", "ayyynyyyyyyyAyya"],
             n6: ["nnnnnn"],
             n5: ["nnnnn"],
-            n4: ["nnnn"]
+            n4: ["nnnn"],
+            c32: ["aAnoxxxxxxxxxxxxxxxxxxxxxxxxxxxa", "axxxxxxxxxxxxxxxxxxxxxxxxxxxAnoa",
+                "axxAxxnxxoxxxxxxxxxxxxxxxxxxxxxa", "axxxnxxxoxxxAxxxxxxxxxxxxxxxxxxa"],
+            c64: ["aAnoxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxa",
+                "axxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxAnoa",
+                "axxAxxnxxoxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxa",
+                "axxxnxxxoxxxAxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxa"]
+        }
+    }
+
+    /**
+     * Provides passphrase patterns composed of words from the word list.
+     */
+    static get passphrases() {
+        return {
+            w4: {words: 4, separator: "-", capitalize: true, digit: true},
+            w5: {words: 5, separator: "-", capitalize: true, digit: true},
+            w6: {words: 6, separator: " ", capitalize: false, digit: false}
+        }
+    }
+
+    /**
+     * Provides the pattern applied to services without a pattern configured.
+     */
+    static get defaultPattern() {
+        return Object.getOwnPropertyNames(this.templates)[0];
+    }
+
+    /**
+     * Provides human-readable labels of the built-in templates.
+     */
+    static get labels() {
+        return {
+            c16: "16 characters with symbols",
+            c12: "12 characters with symbols",
+            c8: "8 characters with symbols",
+            y16: "16 letters and digits",
+            n6: "6 digits",
+            n5: "5 digits",
+            n4: "4 digits",
+            c32: "32 characters with symbols",
+            c64: "64 characters with symbols"
+        }
+    }
+
+    /**
+     * Provides the maximum password length of a derivation algorithm. Algorithm 1 is limited by the service key length
+     * of 32 bytes minus one byte selecting the template. Algorithm 2 expands the service key as needed.
+     *
+     * @param {number} [algorithm] derivation algorithm
+     * @returns {number} maximum password length
+     */
+    static maxLength(algorithm = 1) {
+        return algorithm === 1 ? 31 : 128;
+    }
+
+    /**
+     * Provides the lowest derivation algorithm able to derive passwords of a pattern.
+     *
+     * @param {string} name pattern name
+     * @param {Object<string, CustomPattern>} [customPatterns] custom patterns defined in the config
+     * @returns {number} required derivation algorithm
+     */
+    static requiredAlgorithm(name, customPatterns = {}) {
+        const pattern = this.resolve(name, customPatterns);
+        if (pattern === undefined) return 1;
+        if (pattern.passphrase !== undefined) return 2; // word indices need more than one byte
+        return Math.max(...pattern.templates.map(template => template.length)) > this.maxLength(1) ? 2 : 1;
+    }
+
+    /**
+     * Provides the character classes custom patterns may require, each with its identifier in compiled templates.
+     */
+    static get customClasses() {
+        return {lower: "l", upper: "U", digits: "n", symbols: "o"};
+    }
+
+    /**
+     * Lists the names of built-in and custom patterns.
+     *
+     * @param {Object<string, CustomPattern>} [customPatterns] custom patterns defined in the config
+     * @returns {string[]} pattern names, built-in patterns first
+     */
+    static names(customPatterns = {}) {
+        return Object.getOwnPropertyNames(this.templates)
+            .concat(Object.getOwnPropertyNames(this.passphrases), Object.getOwnPropertyNames(customPatterns));
+    }
+
+    /**
+     * Provides a human-readable label of a pattern.
+     *
+     * @param {string} name pattern name
+     * @param {Object<string, CustomPattern>} [customPatterns] custom patterns defined in the config
+     * @returns {string} pattern label
+     */
+    static label(name, customPatterns = {}) {
+        if (this.labels[name] !== undefined) return this.labels[name];
+        if (Object.hasOwn(this.passphrases, name)) {
+            const {words, separator, capitalize, digit} = this.passphrases[name];
+            return `${words} words, separator "${separator}"` + (capitalize ? ", one capitalised" : "")
+                + (digit ? " plus a digit" : "") + `, ${Math.floor(this.passphraseEntropy(name))} bits`;
+        }
+        const definition = customPatterns[name];
+        if (definition === undefined) return "unknown pattern";
+        if (definition.label) return definition.label;
+        const symbols = definition.classes.includes("symbols") ? ` (${this.compile(definition).characters.o})` : "";
+        return `${definition.length} characters: ${definition.classes.join(", ")}${symbols}`;
+    }
+
+    /**
+     * Resolves a built-in or custom pattern to its templates and character classes or its passphrase definition.
+     *
+     * @param {string} name pattern name
+     * @param {Object<string, CustomPattern>} [customPatterns] custom patterns defined in the config
+     * @returns {ResolvedPattern|undefined} resolved pattern or undefined, if the pattern is unknown
+     */
+    static resolve(name, customPatterns = {}) {
+        if (Object.hasOwn(this.templates, name)) {
+            return {templates: this.templates[name], characters: this.keycharacters};
+        }
+        if (Object.hasOwn(this.passphrases, name)) return {passphrase: this.passphrases[name]};
+        if (Object.hasOwn(customPatterns, name)) return this.compile(customPatterns[name]);
+        return undefined;
+    }
+
+    /**
+     * Computes the entropy of a passphrase pattern from the word list size and the choice of the capitalised word and
+     * the word the digit is appended to.
+     *
+     * @param {string} name passphrase pattern name
+     * @returns {number} entropy in bits
+     */
+    static passphraseEntropy(name) {
+        const {words, capitalize, digit} = this.passphrases[name];
+        return words * Math.log2(WordList.length)
+            + (capitalize ? Math.log2(words) : 0)
+            + (digit ? Math.log2(words) + Math.log2(10) : 0);
+    }
+
+    /**
+     * Compiles a custom pattern to templates and character classes. Each template places the required classes at
+     * evenly spread positions and fills the remaining positions with any of the required classes.
+     *
+     * @param {CustomPattern} definition custom pattern
+     * @returns {ResolvedPattern} compiled pattern
+     */
+    static compile(definition) {
+        const forbidden = definition.forbidden ?? "";
+        const allowed = characters => characters.split("").filter(c => !forbidden.includes(c)).join("");
+        const b = baseCharacters;
+        const classCharacters = {
+            lower: allowed(b.v + b.c),
+            upper: allowed(b.v.toUpperCase() + b.c.toUpperCase()),
+            digits: allowed(b.n),
+            symbols: allowed(definition.symbols ?? b.o)
+        };
+        const characters = {x: ""};
+        for (const className of definition.classes) {
+            characters[this.customClasses[className]] = classCharacters[className];
+            characters.x += classCharacters[className];
+        }
+
+        const length = definition.length;
+        const step = Math.floor(length / definition.classes.length);
+        const templates = [];
+        for (let offset = 0; offset < Math.min(4, length); offset++) {
+            const template = new Array(length).fill("x");
+            definition.classes.forEach((className, i) => {
+                template[(offset + i * step) % length] = this.customClasses[className];
+            });
+            templates.push(template.join(""));
+        }
+        return {templates, characters};
+    }
+
+    /**
+     * Validates a custom pattern definition.
+     *
+     * @param {string} name name of the pattern to validate
+     * @param {CustomPattern} definition custom pattern to validate
+     * @param {Object<string, CustomPattern>} [customPatterns] custom patterns defined so far
+     * @returns {string[]} validation errors, empty if the definition is valid
+     */
+    static validate(name, definition, customPatterns = {}) {
+        const errors = [];
+        if (!/^[\w-]{1,32}$/.test(name)) errors.push("Name must consist of up to 32 letters, digits, _ or -.");
+        if (this.names(customPatterns).includes(name)) {
+            errors.push(`Pattern ${name} already exists.`);
+        }
+        const classes = Array.isArray(definition.classes) ? definition.classes : [];
+        if (classes.length === 0) errors.push("At least one character class is required.");
+        for (const className of classes) {
+            if (!Object.hasOwn(this.customClasses, className)) errors.push(`Unknown character class ${className}.`);
+        }
+        if (new Set(classes).size !== classes.length) errors.push("Character classes must not repeat.");
+        const maxLength = this.maxLength(2);
+        if (!Number.isInteger(definition.length) || definition.length < Math.max(1, classes.length)
+            || definition.length > maxLength) {
+            errors.push(`Length must be an integer from ${Math.max(1, classes.length)} to ${maxLength}.`);
+        }
+        if (definition.symbols !== undefined && /[\p{L}\p{N}\s]/u.test(definition.symbols)) {
+            errors.push("Symbols must not contain letters, digits or white space.");
+        }
+        if (errors.length === 0) {
+            const {characters} = this.compile(definition);
+            for (const className of classes) {
+                if (characters[this.customClasses[className]].length === 0) {
+                    errors.push(`All characters of class ${className} are forbidden.`);
+                }
+            }
         }
+        return errors;
     }
 
     /**
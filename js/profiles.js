@@ -0,0 +1,114 @@
+import LocalStore from "./localstore.js";
+import Logger from "./logger.js";
+
+/**
+ * Manages named config profiles, e.g. separate work and personal configs possibly using different main secrets.
+ * Profiles are listed by the manifest data/profiles.json served with the application and completed by profiles
+ * imported into this browser. Settings, unsaved changes and rotation progress are kept per profile.
+ */
+/**
+ * @typedef Profile
+ * @type {object}
+ * @property {string} name - unique profile name
+ * @property {string} [label] - name shown to the user, the name if missing
+ * @property {string} [config] - URL of the encrypted config of profiles listed by the manifest
+ * @property {boolean} [local] - true for profiles imported into this browser
+ */
+export default class Profiles {
+    static get storageKey() {
+        return "m41nk3y.profile";
+    }
+
+    static get manifestUrl() {
+        return "data/profiles.json";
+    }
+
+    /**
+     * Provides the profile used without manifest, loading the config served with the application.
+     *
+     * @returns {Profile} default profile
+     */
+    static get defaultProfile() {
+        return {name: "default", label: "Default", config: "data/config.txt"};
+    }
+
+    /**
+     * Provides the name of the selected profile.
+     *
+     * @returns {string} profile name
+     */
+    static get current() {
+        return window.localStorage.getItem(this.storageKey) ?? this.defaultProfile.name;
+    }
+
+    /**
+     * Selects a profile to be used from now on.
+     *
+     * @param {string} name profile name
+     */
+    static select(name) {
+        window.localStorage.setItem(this.storageKey, name);
+    }
+
+    /**
+     * Lists the profiles of the manifest followed by the imported profiles. Without manifest, the default profile is
+     * listed instead.
+     *
+     * @returns {Promise<Profile[]>} available profiles
+     */
+    static async list() {
+        let profiles = [this.defaultProfile];
+        try {
+            const response = await fetch(this.manifestUrl, {cache: "no-cache"});
+            if (response.ok) profiles = (await response.json()).filter(profile => profile.name && profile.config);
+        } catch (error) {
+            Logger.debug("No profile manifest: " + error);
+        }
+        const names = new Set(profiles.map(profile => profile.name));
+        for (const profile of await LocalStore.loadProfiles()) {
+            if (!names.has(profile.name)) profiles.push({name: profile.name, label: profile.label, local: true});
+        }
+        return profiles;
+    }
+
+    /**
+     * Loads the encrypted config of a profile.
+     *
+     * @param {Profile} profile profile to load
+     * @returns {Promise<string>} encrypted config
+     * @throws {Error} if the config cannot be loaded
+     */
+    static async loadConfig(profile) {
+        if (profile.local) {
+            const stored = (await LocalStore.loadProfiles()).find(candidate => candidate.name === profile.name);
+            if (stored === undefined) throw new Error(`Profile ${profile.name} has been removed`);
+            return stored.config;
+        }
+        const response = await fetch(profile.config);
+        if (!response.ok) throw new Error(`Cannot load ${profile.config}: ${response.status} ${response.statusText}`);
+        return await response.text();
+    }
+
+    /**
+     * Imports a profile into this browser.
+     *
+     * @param {string} name profile name
+     * @param {string} label name shown to the user
+     * @param {string} config encrypted config
+     * @returns {Promise<void>} promise fulfilled after storing
+     */
+    static async add(name, label, config) {
+        await LocalStore.saveProfile({name, label, config});
+    }
+
+    /**
+     * Removes an imported profile including its unsaved changes.
+     *
+     * @param {string} name profile name
+     * @returns {Promise<void>} promise fulfilled after removing
+     */
+    static async remove(name) {
+        await LocalStore.removeProfile(name);
+        await LocalStore.clear(name);
+    }
+}
@@ -0,0 +1,48 @@
+import Profiles from "./profiles.js";
+
+/**
+ * Persists the progress of a main secret rotation of the selected profile in the local storage, so a rotation can be
+ * resumed later. Neither secrets nor service passwords are stored. The config encrypted with the new main secret when
+ * starting the rotation verifies that the same new main secret is entered on resume.
+ */
+/**
+ * @typedef RotationProgress
+ * @type {object}
+ * @property {string} config - config container encrypted with the new main secret
+ * @property {string[]} done - names of services whose password has been changed at the site
+ * @property {number} total - count of services to rotate
+ */
+export default class Rotation {
+    /**
+     * Provides the storage key of the rotation progress of the selected profile.
+     */
+    static get storageKey() {
+        return `m41nk3y.rotation.${Profiles.current}`;
+    }
+
+    /**
+     * Loads the progress of an interrupted rotation.
+     *
+     * @returns {?RotationProgress} stored progress or null, if no rotation is in progress
+     */
+    static load() {
+        const item = window.localStorage.getItem(this.storageKey);
+        return item === null ? null : JSON.parse(item);
+    }
+
+    /**
+     * Stores the progress of the current rotation.
+     *
+     * @param {RotationProgress} progress progress to store
+     */
+    static save(progress) {
+        window.localStorage.setItem(this.storageKey, JSON.stringify(progress));
+    }
+
+    /**
+     * Removes the stored progress after the rotation has been finished or discarded.
+     */
+    static clear() {
+        window.localStorage.removeItem(this.storageKey);
+    }
+}
@@ -0,0 +1,82 @@
+import Logger from "./logger.js";
+
+/**
+ * Copies passwords to the clipboard and clears them after a while. The clipboard is only cleared if it still contains
+ * the copied password. Browsers not allowing to read the clipboard get it cleared unconditionally.
+ */
+export default class SecureClipboard {
+    /**
+     * Copies a password and starts the countdown to clear it. A countdown of a previously copied password is
+     * cancelled.
+     *
+     * @param {string} text password to copy
+     * @param {number} seconds seconds until clearing, 0 disables clearing
+     * @param {function(number): void} onCountdown called with the remaining seconds, finally with 0
+     * @returns {Promise<void>} promise fulfilled after copying
+     */
+    static async copy(text, seconds, onCountdown) {
+        this.cancel();
+        await navigator.clipboard.writeText(text);
+        if (seconds <= 0) return;
+
+        const countdown = {text: text, onCountdown: onCountdown, remaining: seconds};
+        countdown.timer = setInterval(async () => {
+            countdown.remaining--;
+            if (countdown.remaining > 0) {
+                onCountdown(countdown.remaining);
+                return;
+            }
+            this.cancel();
+            await clearIfUnchanged(text);
+        }, 1000);
+        pending = countdown;
+        onCountdown(seconds);
+    }
+
+    /**
+     * Cancels the countdown without clearing the clipboard.
+     */
+    static cancel() {
+        if (pending === null) return;
+        clearInterval(pending.timer);
+        pending.onCountdown(0);
+        pending = null;
+    }
+
+    /**
+     * Clears the clipboard right away, if it contains a password copied before.
+     *
+     * @returns {Promise<void>} promise fulfilled after clearing
+     */
+    static async clear() {
+        if (pending === null) return;
+        const text = pending.text;
+        this.cancel();
+        await clearIfUnchanged(text);
+    }
+}
+
+/**
+ * Countdown of the password copied last.
+ *
+ * @type {?{text: string, remaining: number, timer: number, onCountdown: function(number): void}}
+ */
+let pending = null;
+
+/**
+ * Clears the clipboard, if it still contains the given text.
+ *
+ * @param {string} text copied text
+ */
+async function clearIfUnchanged(text) {
+    try {
+        if (await navigator.clipboard.readText() !== text) return;
+    } catch (error) {
+        Logger.debug("Cannot read clipboard, clearing it unconditionally: " + error);
+    }
+    try {
+        await navigator.clipboard.writeText("");
+    } catch (error) {
+        Logger.debug("Cannot clear clipboard: " + error); // writing fails while the page is not focused
+    }
+}
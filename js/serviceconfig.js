@@ -1,3 +1,7 @@
+import Patterns from "./patterns.js";
+import Core from "./core.js";
+import Logger from "./logger.js";
+
 /**
  * Key management for multiple services. Service keys are derived based on a main key, a service name as salt and
  * an individually saved iterations count. Configuration for services is encrypted with main key as well.
@@ -6,28 +10,97 @@
  * @typedef Service
  * @type {object}
  * @property {string} name - service name, common practise is to use a domain name
+ * @property {string[]} [aliases] - further names of the service, e.g. domains sharing the same login
+ * @property {string} [salt] - name the password is derived from, if the service has been renamed
  * @property {number} [iterations] - iterations count for the hash function to be applied
  * @property {string} [pattern] - password character set and length pattern
+ * @property {number} [algorithm] - password derivation algorithm, 1 if missing
+ * @property {string} [username] - username or email address used to log in
+ * @property {string} [url] - login URL
+ * @property {string} [notes] - free-text notes
+ * @property {string[]} [tags] - tags for filtering
+ * @property {RotationEvent[]} [history] - password rotations, oldest first
+ */
+/**
+ * @typedef RotationEvent
+ * @type {object}
+ * @property {number} iterations - iterations count since the rotation
+ * @property {string} date - date and time of the rotation as ISO string
+ * @property {boolean} [rotation] - true, if the main secret has been rotated, changing all passwords
+ */
+/**
+ * @typedef ServiceMetadata
+ * @type {object}
+ * @property {string} username - username or email address used to log in
+ * @property {string} url - login URL
+ * @property {string} notes - free-text notes
+ * @property {string[]} tags - tags for filtering
+ */
+/**
+ * @typedef ConfigDocument
+ * @type {object}
+ * @property {Service[]} services - services configuration
+ * @property {Object<string, CustomPattern>} patterns - custom patterns by name
  */
 /**
  * @typedef Config
  * @type {object}
  * @property {CryptoKey} userSecret - the user's secret main key
  * @property {CryptoKey} configKeyAES - symmetric encryption and decryption of services configuration
+ * @property {KdfParameters} configKdf - parameters configKeyAES was derived with
+ * @property {string} configCipher - cipher configKeyAES is used with
+ * @property {number} configVersion - container format version of the loaded config
  * @property {Service[]} services - JSON services configuration
+ * @property {Object<string, CustomPattern>} patterns - custom patterns defined in the config by name
  * @property {string} servicesEncrypted - JSON services configuration encrypted
+ * @property {?string} syncEtag - ETag of the config on the sync server the loaded config is based on
  */
 export default class Config {
+    /**
+     * Checks whether a name is valid for a new service. Service names are expected to contain a domain.
+     *
+     * @param {string} name service name to check
+     * @returns {boolean} true, if the name is valid
+     */
+    static isValidServiceName(name) {
+        return /\w+[.]\w+/.test(name);
+    }
+
+    /**
+     * Provides the loaded config to be encrypted.
+     *
+     * @returns {ConfigDocument} services and custom patterns
+     */
+    static get document() {
+        return {services: this.services, patterns: this.patterns};
+    }
+
+    /**
+     * Finds a service by its name or one of its aliases.
+     *
+     * @param {string} name service name or alias
+     * @returns {Service|undefined} service or undefined, if no service has this name or alias
+     */
+    static findService(name) {
+        return this.services.find(service => service.name === name)
+            ?? this.services.find(service => (service.aliases ?? []).includes(name));
+    }
+
     static addService(name) {
         const candidate = name.trim();
-        for (const service of this.services) {
-            if (service.name === candidate) {
-                console.info(`Service with name ${candidate} already exists.`);
-                return;
-            }
+        const existing = this.findService(candidate);
+        if (existing !== undefined) {
+            if (existing.name === candidate) Logger.warn(`Service ${candidate} already exists.`, "Service exists");
+            else Logger.warn(`Service name ${candidate} is an alias of service ${existing.name}.`, "Alias exists");
+            return;
         }
-        console.info(`Add service ${candidate}`);
-        const newService = {name: candidate, iterations: 1}
+        Logger.info(`Add service ${candidate}`);
+        const newService = {
+            name: candidate,
+            iterations: 1,
+            algorithm: Core.latestAlgorithm,
+            history: [{iterations: 1, date: new Date().toISOString()}]
+        };
         this.services.push(newService);
         this.sortServices();
         return newService;
@@ -36,12 +109,268 @@ export default class Config {
     static removeService(name) {
         const servicesUpdated = [];
         for (const service of this.services) {
-            if (service.name === name) console.info(`Remove service ${service.name}`);
+            if (service.name === name) Logger.info(`Remove service ${service.name}`);
             else servicesUpdated.push(service);
         }
         this.services = servicesUpdated;
     }
 
+    /**
+     * Renames a service. The old name becomes an alias and the password keeps being derived from the name it was
+     * derived from so far.
+     *
+     * @param {Service} service service to rename
+     * @param {string} name new service name
+     * @returns {boolean} true, if renamed, false if another service has this name or alias
+     */
+    static renameService(service, name) {
+        const candidate = name.trim();
+        const existing = this.findService(candidate);
+        if (candidate === service.name) return true;
+        if (existing !== undefined && existing !== service) {
+            Logger.warn(`Service name ${candidate} is already used by service ${existing.name}.`,
+                "Service name in use");
+            return false;
+        }
+        Logger.info(`Rename service ${service.name} to ${candidate}`);
+        service.salt ??= service.name;
+        service.aliases = (service.aliases ?? []).filter(alias => alias !== candidate).concat(service.name);
+        service.name = candidate;
+        if (service.salt === candidate) delete service.salt; // renamed back to the name the password is derived from
+        this.sortServices();
+        return true;
+    }
+
+    /**
+     * Sets the aliases of a service. Aliases already used as name or alias of another service are rejected.
+     *
+     * @param {Service} service service to change
+     * @param {string[]} aliases aliases as entered by the user
+     * @returns {string[]} rejected aliases
+     */
+    static setAliases(service, aliases) {
+        const accepted = [];
+        const rejected = [];
+        for (const alias of new Set(aliases.map(alias => alias.trim()).filter(alias => alias !== ""))) {
+            const existing = this.findService(alias);
+            if (alias === service.name) continue;
+            if (existing !== undefined && existing !== service) {
+                Logger.warn(`Alias ${alias} is already used by service ${existing.name}.`, "Alias in use");
+                rejected.push(alias);
+            } else {
+                accepted.push(alias);
+            }
+        }
+        if (accepted.length > 0) service.aliases = accepted;
+        else delete service.aliases;
+        return rejected;
+    }
+
+    /**
+     * Changes the iterations count of a service and records the change in its history. Returning to the iterations
+     * count in effect before the last recorded change undoes that change instead.
+     *
+     * @param {Service} service service to change
+     * @param {number} iterations new iterations count
+     * @param {Date} [date] date of the change
+     */
+    static setIterations(service, iterations, date = new Date()) {
+        const current = service.iterations ?? 1;
+        if (iterations === current) return;
+        const history = service.history ?? [];
+        const last = history[history.length - 1];
+        if (last !== undefined && last.iterations === current && this.previousIterations(service) === iterations) {
+            history.pop(); // undo the last change
+        } else {
+            history.push({iterations: iterations, date: date.toISOString()});
+        }
+        service.iterations = iterations;
+        if (history.length > 0) service.history = history;
+        else delete service.history;
+    }
+
+    /**
+     * Records a password rotation without changing the iterations count, e.g. after changing the main secret.
+     *
+     * @param {Service} service rotated service
+     * @param {Date} [date] date of the rotation
+     */
+    static recordRotation(service, date = new Date()) {
+        const iterations = service.iterations ?? 1;
+        const event = {iterations: iterations, date: date.toISOString(), rotation: true};
+        service.history = (service.history ?? []).concat(event);
+    }
+
+    /**
+     * Provides the iterations count in effect before the last change of the iterations count. Passwords before a
+     * rotation of the main secret cannot be derived anymore, so there is no previous iterations count after one.
+     *
+     * @param {Service} service service to check
+     * @returns {number|undefined} previous iterations count or undefined, if the iterations count is 1 and has not
+     * been changed, or if the main secret has been rotated since
+     */
+    static previousIterations(service) {
+        const history = service.history ?? [];
+        const current = service.iterations ?? 1;
+        for (let i = history.length - 1; i >= 0; i--) {
+            if (history[i].iterations !== current) return history[i].iterations;
+            if (history[i].rotation) return undefined;
+        }
+        return current > 1 ? current - 1 : undefined;
+    }
+
+    /**
+     * Provides the date of the last password rotation of a service.
+     *
+     * @param {Service} service service to check
+     * @returns {Date|undefined} date of the last rotation or undefined, if no rotation has been recorded
+     */
+    static lastRotation(service) {
+        const history = service.history ?? [];
+        return history.length > 0 ? new Date(history[history.length - 1].date) : undefined;
+    }
+
+    /**
+     * Updates the metadata of a service. Empty fields are removed from the service.
+     *
+     * @param {Service} service service to update
+     * @param {ServiceMetadata} metadata metadata as entered by the user
+     */
+    static updateMetadata(service, metadata) {
+        const tags = [...new Set(metadata.tags.map(tag => tag.trim()).filter(tag => tag !== ""))];
+        const fields = {
+            username: metadata.username.trim(),
+            url: metadata.url.trim(),
+            notes: metadata.notes.trim(),
+            tags: tags.length > 0 ? tags : ""
+        };
+        for (const [field, value] of Object.entries(fields)) {
+            if (value === "") delete service[field];
+            else service[field] = value;
+        }
+        Logger.info(`Update metadata of service ${service.name}`);
+    }
+
+    /**
+     * Merges services by name, matching names and aliases, so a service renamed meanwhile is matched by its former
+     * name. Services not configured so far are added. Services differing in the name the password is derived from,
+     * iterations, pattern or algorithm are left unchanged and reported as conflicts.
+     *
+     * @param {Service[]} services services to merge into the configured services
+     * @returns {{added: Service[], conflicts: {current: Service, imported: Service}[]}} added and conflicting services
+     */
+    static mergeServices(services) {
+        const added = [];
+        const conflicts = [];
+        for (const imported of services) {
+            const current = this.findService(imported.name);
+            if (current === undefined) {
+                Logger.info(`Add service ${imported.name}`);
+                this.services.push(imported);
+                added.push(imported);
+            } else if ((current.salt ?? current.name) !== (imported.salt ?? imported.name)
+                || (current.iterations ?? 1) !== (imported.iterations ?? 1)
+                || (current.pattern ?? Patterns.defaultPattern) !== (imported.pattern ?? Patterns.defaultPattern)
+                || (current.algorithm ?? 1) !== (imported.algorithm ?? 1)) {
+                conflicts.push({current, imported});
+            }
+        }
+        this.sortServices();
+        return {added, conflicts};
+    }
+
+    /**
+     * Replaces a configured service, by default the one having the same name as the given service.
+     *
+     * @param {Service} replacement service to replace the configured one with
+     * @param {Service} [replaced] configured service to replace, e.g. one having the name as alias
+     */
+    static replaceService(replacement, replaced = this.services.find(service => service.name === replacement.name)) {
+        const index = this.services.indexOf(replaced);
+        if (index >= 0) {
+            Logger.info(`Replace service ${replaced.name}`
+                + (replaced.name !== replacement.name ? ` by ${replacement.name}` : ""));
+            this.services[index] = replacement;
+            this.sortServices();
+        }
+    }
+
+    /**
+     * Restores a service to a former state, e.g. to undo changes since the config was loaded.
+     *
+     * @param {string} name service name
+     * @param {Service|undefined} original former state of the service or undefined, if it did not exist
+     */
+    static restoreService(name, original) {
+        if (original === undefined) {
+            this.removeService(name);
+        } else if (this.services.some(service => service.name === name)) {
+            this.replaceService(structuredClone(original));
+        } else {
+            Logger.info(`Restore service ${name}`);
+            this.services.push(structuredClone(original));
+            this.sortServices();
+        }
+    }
+
+    /**
+     * Adds a custom pattern. The definition is expected to be validated by Patterns.validate().
+     *
+     * @param {string} name pattern name
+     * @param {CustomPattern} definition custom pattern
+     */
+    static addPattern(name, definition) {
+        Logger.info(`Add pattern ${name}`);
+        this.patterns[name] = definition;
+    }
+
+    /**
+     * Removes a custom pattern unless services still use it.
+     *
+     * @param {string} name pattern name
+     * @returns {boolean} true, if the pattern has been removed
+     */
+    static removePattern(name) {
+        if (this.services.some(service => service.pattern === name)) {
+            Logger.warn(`Pattern ${name} is still used by services.`, "Pattern in use");
+            return false;
+        }
+        Logger.info(`Remove pattern ${name}`);
+        delete this.patterns[name];
+        return true;
+    }
+
+    /**
+     * Restores a custom pattern to a former state, e.g. to undo changes since the config was loaded. Patterns still
+     * in use are not removed.
+     *
+     * @param {string} name pattern name
+     * @param {CustomPattern|undefined} original former definition or undefined, if the pattern did not exist
+     * @returns {boolean} true, if the pattern has been restored
+     */
+    static restorePattern(name, original) {
+        if (original === undefined) return this.removePattern(name);
+        this.addPattern(name, structuredClone(original));
+        return true;
+    }
+
+    /**
+     * Merges custom patterns by name. Patterns not defined so far are added. Patterns defined differently are left
+     * unchanged and reported as conflicts.
+     *
+     * @param {Object<string, CustomPattern>} patterns custom patterns to merge
+     * @returns {{name: string, current: CustomPattern, imported: CustomPattern}[]} conflicting patterns
+     */
+    static mergePatterns(patterns) {
+        const conflicts = [];
+        for (const [name, imported] of Object.entries(patterns)) {
+            const current = this.patterns[name];
+            if (!Object.hasOwn(this.patterns, name)) this.addPattern(name, imported);
+            else if (JSON.stringify(current) !== JSON.stringify(imported)) conflicts.push({name, current, imported});
+        }
+        return conflicts;
+    }
+
     static sortServices() {
         this.services.sort((a, b) => {
             if (a.name < b.name) return -1;
@@ -0,0 +1,55 @@
+import Profiles from "./profiles.js";
+
+/**
+ * Persists user settings of this browser in the local storage, kept per profile. Settings are no secrets, the sync
+ * token merely grants access to the encrypted config.
+ */
+/**
+ * @typedef UserSettings
+ * @type {object}
+ * @property {number} lockMinutes - minutes without user activity until the application locks, 0 disables
+ * @property {number} hiddenLockMinutes - minutes the page may be hidden until the application locks, 0 disables
+ * @property {number} clipboardSeconds - seconds until a copied password is cleared from the clipboard, 0 disables
+ * @property {string} syncUrl - URL of the config on the sync server, empty to disable syncing
+ * @property {string} syncToken - bearer token of the sync server, empty to send none
+ * @property {boolean} systemNotifications - true to notify by system notifications while the page is hidden
+ */
+export default class Settings {
+    /**
+     * Provides the storage key of the settings of the selected profile.
+     */
+    static get storageKey() {
+        return `m41nk3y.settings.${Profiles.current}`;
+    }
+
+    /**
+     * Provides the settings used until the user changes them.
+     *
+     * @returns {UserSettings} default settings
+     */
+    static get defaults() {
+        return {
+            lockMinutes: 5, hiddenLockMinutes: 1, clipboardSeconds: 30, syncUrl: "", syncToken: "",
+            systemNotifications: false
+        };
+    }
+
+    /**
+     * Loads the stored settings of the selected profile completed by defaults for settings not stored.
+     *
+     * @returns {UserSettings} current settings
+     */
+    static load() {
+        const item = window.localStorage.getItem(this.storageKey);
+        return {...this.defaults, ...(item === null ? {} : JSON.parse(item))};
+    }
+
+    /**
+     * Stores the settings of the selected profile.
+     *
+     * @param {UserSettings} settings settings to store
+     */
+    static save(settings) {
+        window.localStorage.setItem(this.storageKey, JSON.stringify(settings));
+    }
+}
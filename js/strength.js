@@ -0,0 +1,184 @@
+import Patterns from "./patterns.js";
+import Config from "./serviceconfig.js";
+import Container from "./container.js";
+import Validation from "./validation.js";
+
+/**
+ * Estimates the strength of derived passwords and reports weaknesses of a vault. The entropy of a pattern follows
+ * from how Core.deriveServicePassword() applies it: a template is selected by the first byte of the service key and
+ * each of its positions takes a character of its class by the following bytes. Algorithm 1 maps bytes by modulo, so
+ * characters at the beginning of a class are slightly more likely, algorithm 2 selects without bias. Passwords are
+ * never stronger than the 256-bit service key, nor than the main secret they are derived from.
+ */
+/**
+ * @typedef PositionStrength
+ * @type {object}
+ * @property {string} identifier - character class identifier in the template
+ * @property {number} size - count of characters in the class
+ * @property {number} bits - entropy of the position
+ */
+/**
+ * @typedef TemplateStrength
+ * @type {object}
+ * @property {string} template - template of character class identifiers
+ * @property {number} probability - probability of the template being selected
+ * @property {number} bits - entropy of the characters of the template
+ * @property {PositionStrength[]} positions - entropy per position
+ */
+/**
+ * @typedef PatternStrength
+ * @type {object}
+ * @property {string} name - pattern name
+ * @property {number} bits - entropy of derived passwords
+ * @property {number} templateBits - entropy of the template selection, 0 for passphrases
+ * @property {TemplateStrength[]} templates - entropy per template, empty for passphrases
+ * @property {string} rating - weak, fair or strong
+ */
+/**
+ * @typedef StrengthFinding
+ * @type {object}
+ * @property {string} problem - pattern, rotation or config-key
+ * @property {string} name - name of the service concerned or "config"
+ * @property {Service} [service] - service concerned
+ * @property {string} message - description of the weakness
+ */
+export default class Strength {
+    /**
+     * Provides the entropy in bits below which passwords are rated weak.
+     */
+    static get weakBits() {
+        return 50;
+    }
+
+    /**
+     * Provides the entropy in bits from which passwords are rated strong.
+     */
+    static get strongBits() {
+        return 72;
+    }
+
+    /**
+     * Provides the length of service keys in bits, limiting the entropy of derived passwords.
+     */
+    static get keyBits() {
+        return 256;
+    }
+
+    /**
+     * Provides the count of days after which passwords are reported as not rotated.
+     */
+    static get rotationDays() {
+        return 365;
+    }
+
+    /**
+     * Rates an entropy.
+     *
+     * @param {number} bits entropy in bits
+     * @returns {string} weak, fair or strong
+     */
+    static rate(bits) {
+        return bits < this.weakBits ? "weak" : bits < this.strongBits ? "fair" : "strong";
+    }
+
+    /**
+     * Computes the entropy of passwords derived with a pattern. The template selection is counted in full, although
+     * different templates occasionally yield the same password.
+     *
+     * @param {string} name pattern name
+     * @param {Object<string, CustomPattern>} [customPatterns] custom patterns defined in the config
+     * @param {number} [algorithm] derivation algorithm
+     * @returns {PatternStrength|undefined} pattern strength or undefined, if the pattern is unknown or has a character
+     *     class without characters, e.g. all of them forbidden
+     */
+    static pattern(name, customPatterns = {}, algorithm = 1) {
+        const pattern = Patterns.resolve(name, customPatterns);
+        if (pattern === undefined) return undefined;
+        if (pattern.passphrase !== undefined) {
+            const bits = Math.min(Patterns.passphraseEntropy(name), this.keyBits);
+            return {name, bits, templateBits: 0, templates: [], rating: this.rate(bits)};
+        }
+        const classes = new Set(pattern.templates.join(""));
+        if ([...classes].some(identifier => !pattern.characters[identifier]?.length)) return undefined;
+
+        const templates = pattern.templates.map((template, index) => {
+            const positions = template.split("").map(identifier => {
+                const size = pattern.characters[identifier].length;
+                return {identifier, size, bits: this.indexEntropy(size, algorithm)};
+            });
+            const count = pattern.templates.length;
+            const probability = algorithm === 1 ? byteShare(index, count) : 1 / count;
+            const bits = positions.reduce((sum, position) => sum + position.bits, 0);
+            return {template, probability, bits, positions};
+        });
+        const templateBits = -templates.reduce((sum, {probability}) => sum + probability * Math.log2(probability), 0);
+        const characterBits = templates.reduce((sum, {probability, bits}) => sum + probability * bits, 0);
+        const bits = Math.min(templateBits + characterBits, this.keyBits);
+        return {name, bits, templateBits, templates, rating: this.rate(bits)};
+    }
+
+    /**
+     * Computes the entropy of selecting one of a count of items, e.g. characters of a class.
+     *
+     * @param {number} size count of items
+     * @param {number} algorithm derivation algorithm, 1 selecting by a key byte modulo the count
+     * @returns {number} entropy in bits
+     */
+    static indexEntropy(size, algorithm) {
+        if (algorithm !== 1) return Math.log2(size);
+        let bits = 0;
+        for (let index = 0; index < size; index++) {
+            const share = byteShare(index, size);
+            if (share > 0) bits -= share * Math.log2(share);
+        }
+        return bits;
+    }
+
+    /**
+     * Reports weaknesses of a vault: services with weak patterns, passwords not rotated for a year or of unknown age
+     * and a config key derived with the legacy 1000 iterations.
+     *
+     * @param {ConfigDocument} config decrypted config
+     * @param {KdfParameters} kdf parameters the config key has been derived with
+     * @param {Date} [date] date to compute password ages at
+     * @returns {StrengthFinding[]} weaknesses found
+     */
+    static audit(config, kdf, date = new Date()) {
+        const findings = [];
+        if (kdf.iterations <= Container.legacyKdf.iterations) {
+            findings.push({problem: "config-key", name: "config",
+                message: `The config key is derived with only ${kdf.iterations} iterations, `
+                    + "export the config to re-key it."});
+        }
+        const customPatterns = Validation.validPatterns(config);
+        for (const service of config.services) {
+            const name = service.name;
+            const pattern = service.pattern ?? Patterns.defaultPattern;
+            const strength = this.pattern(pattern, customPatterns, service.algorithm ?? 1);
+            if (strength?.rating === "weak") {
+                findings.push({problem: "pattern", name, service,
+                    message: `Service ${name} uses the weak pattern ${pattern} (${Math.floor(strength.bits)} bits).`});
+            }
+            const lastRotation = Config.lastRotation(service);
+            if (lastRotation === undefined) {
+                findings.push({problem: "rotation", name, service,
+                    message: `Password of ${name} has no recorded rotation.`});
+            } else if (date - lastRotation > this.rotationDays * 24 * 60 * 60 * 1000) {
+                findings.push({problem: "rotation", name, service,
+                    message: `Password of ${name} has not been rotated since ${lastRotation.toLocaleDateString()}.`});
+            }
+        }
+        return findings;
+    }
+}
+
+/**
+ * Computes the share of byte values selecting an index by modulo.
+ *
+ * @param {number} index selected index
+ * @param {number} size count of indices
+ * @returns {number} share of the 256 byte values
+ */
+function byteShare(index, size) {
+    return (Math.floor(256 / size) + (index < 256 % size ? 1 : 0)) / 256;
+}
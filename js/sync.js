@@ -0,0 +1,69 @@
+/**
+ * Loads and saves the encrypted config from and to a sync server by HTTP GET and PUT, e.g. a WebDAV server or the
+ * companion server server/syncserver.js. Only the encrypted config container is transferred.
+ *
+ * Concurrent changes are detected by entity tags: a config is saved with If-Match stating the ETag it was loaded with,
+ * or with If-None-Match: * if none was loaded, so the server refuses to overwrite a config changed meanwhile.
+ * Cross-origin servers need to allow the methods GET, HEAD and PUT, the headers Authorization, If-Match, If-None-Match
+ * and Content-Type, and expose the header ETag. A token configured is sent as bearer token.
+ */
+export default class Sync {
+    /**
+     * Loads the encrypted config from the sync server.
+     *
+     * @param {string} url URL of the config on the sync server
+     * @param {string} [token] bearer token, none if empty
+     * @returns {Promise<?{text: string, etag: ?string}>} config and its ETag or null, if there is no config yet
+     * @throws {Error} if the server cannot be reached or responds with an error
+     */
+    static async download(url, token = "") {
+        const response = await fetch(url, {cache: "no-store", headers: authorization(token)});
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Sync server responded ${response.status} ${response.statusText}`);
+        return {text: await response.text(), etag: response.headers.get("ETag")};
+    }
+
+    /**
+     * Saves the encrypted config to the sync server, unless the config on the server has been changed since it was
+     * loaded.
+     *
+     * @param {string} url URL of the config on the sync server
+     * @param {string} text encrypted config
+     * @param {?string} etag ETag of the config on the server the config is based on, null if there was none
+     * @param {string} [token] bearer token, none if empty
+     * @returns {Promise<{saved: boolean, etag: ?string}>} saved false, if the config on the server has been changed
+     *     meanwhile, and the ETag of the saved config, if the server provides it
+     * @throws {Error} if the server cannot be reached or responds with an error
+     */
+    static async upload(url, text, etag, token = "") {
+        const response = await fetch(url, {
+            method: "PUT",
+            cache: "no-store",
+            headers: {
+                "Content-Type": "text/plain; charset=utf-8",
+                ...authorization(token),
+                ...(etag ? {"If-Match": etag} : {"If-None-Match": "*"})
+            },
+            body: text
+        });
+        if (response.status === 412) return {saved: false, etag: null};
+        if (!response.ok) throw new Error(`Sync server responded ${response.status} ${response.statusText}`);
+
+        let savedEtag = response.headers.get("ETag");
+        if (savedEtag === null) { // WebDAV servers may not return the ETag on PUT
+            const head = await fetch(url, {method: "HEAD", cache: "no-store", headers: authorization(token)});
+            savedEtag = head.ok ? head.headers.get("ETag") : null;
+        }
+        return {saved: true, etag: savedEtag};
+    }
+}
+
+/**
+ * Provides the authorization header stating a bearer token.
+ *
+ * @param {string} token bearer token, none if empty
+ * @returns {Object<string, string>} authorization header or no header
+ */
+function authorization(token) {
+    return token ? {"Authorization": `Bearer ${token}`} : {};
+}
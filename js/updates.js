@@ -0,0 +1,89 @@
+/**
+ * Keeps the application up to date by the service worker, see serviceworker.js. New application versions are
+ * installed in the background and wait until the user activates them, as activating reloads the page. Newer configs
+ * cached by the service worker in the background are reported as well.
+ */
+export default class Updates {
+    /**
+     * Provides the milliseconds to wait for a service worker to state its version.
+     */
+    static get timeout() {
+        return 2000;
+    }
+
+    /**
+     * Registers the service worker and watches for new versions. Browsers check for a new version on loading the page,
+     * it is checked again whenever the page becomes visible.
+     *
+     * @param {function(?string): void} onAppUpdate called with the version of a new application version ready to be
+     *     activated
+     * @param {function(string): void} onDataUpdate called with the URL of a config or profile manifest of which a
+     *     newer version has been cached
+     * @returns {Promise<void>} promise fulfilled after registering
+     */
+    static async register(onAppUpdate, onDataUpdate) {
+        navigator.serviceWorker.addEventListener("message", event => {
+            if (event.data?.type === "m41nk3y:data-updated") onDataUpdate(event.data.url);
+        });
+        registration = await navigator.serviceWorker.register("serviceworker.js");
+
+        const offerUpdate = async () => {
+            if (registration.waiting === null || navigator.serviceWorker.controller === null) return; // first install
+            onAppUpdate(await askVersion(registration.waiting));
+        };
+        registration.addEventListener("updatefound", () => {
+            const worker = registration.installing;
+            worker.addEventListener("statechange", () => {
+                if (worker.state === "installed") offerUpdate();
+            });
+        });
+        document.addEventListener("visibilitychange", () => {
+            if (document.visibilityState === "visible") registration.update().catch(() => undefined); // offline
+        });
+        await offerUpdate();
+    }
+
+    /**
+     * Activates the waiting application version and reloads the page, once it controls the page.
+     */
+    static activate() {
+        if (!registration?.waiting) return;
+        navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload());
+        registration.waiting.postMessage({type: "m41nk3y:activate"});
+    }
+
+    /**
+     * Provides the version of the application served by the service worker controlling the page.
+     *
+     * @returns {Promise<?string>} application version or null, if no service worker controls the page
+     */
+    static async appVersion() {
+        const controller = navigator.serviceWorker?.controller ?? null;
+        return controller === null ? null : await askVersion(controller);
+    }
+}
+
+/**
+ * Registration of the service worker.
+ *
+ * @type {?ServiceWorkerRegistration}
+ */
+let registration = null;
+
+/**
+ * Asks a service worker for the application version it serves.
+ *
+ * @param {ServiceWorker} worker service worker to ask
+ * @returns {Promise<?string>} application version or null, if the service worker does not answer in time
+ */
+function askVersion(worker) {
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => resolve(null), Updates.timeout); // versions before 1.1.0 do not answer
+        channel.port1.onmessage = event => {
+            clearTimeout(timer);
+            resolve(event.data?.version ?? null);
+        };
+        worker.postMessage({type: "m41nk3y:version"}, [channel.port2]);
+    });
+}
@@ -0,0 +1,247 @@
+import Config from "./serviceconfig.js";
+import Core from "./core.js";
+import Patterns from "./patterns.js";
+import Logger from "./logger.js";
+
+/**
+ * Validates decrypted configs, which Core.decryptConfig() has found to be well-formed. Problems such as duplicate
+ * services, unknown patterns, derivation algorithms not fitting the pattern, invalid iterations counts and service
+ * names are reported as issues, each with a fix the user may apply explicitly. Nothing is changed without applying a
+ * fix.
+ */
+/**
+ * @typedef ConfigIssue
+ * @type {object}
+ * @property {string} problem - name, duplicate, alias, pattern, algorithm, iterations, field or definition
+ * @property {string} name - name of the service or custom pattern concerned
+ * @property {string} [field] - optional service field of the wrong type
+ * @property {string} [alias] - alias colliding with the name or an alias of another service
+ * @property {Service} [service] - service concerned
+ * @property {string} message - description of the problem
+ * @property {string} fix - description of the fix
+ * @property {boolean} [confirm] - true, if the fix removes a service, so it must be confirmed and is not applied by
+ *     repairing all issues
+ */
+export default class Validation {
+    /**
+     * Checks a config document for problems.
+     *
+     * @param {ConfigDocument} config config to check
+     * @returns {ConfigIssue[]} problems found, each with a fix
+     */
+    static check(config) {
+        const issues = [];
+        for (const [name, definition] of Object.entries(config.patterns)) {
+            const errors = typeof definition === "object" && definition !== null
+                ? Patterns.validate(name, definition) : ["Definition is no object."];
+            if (errors.length > 0) {
+                issues.push({problem: "definition", name, message: `Pattern ${name} is invalid: ${errors.join(" ")}`,
+                    fix: "Remove pattern"});
+            }
+        }
+
+        const validPatterns = this.validPatterns(config);
+        const seen = new Map();
+        for (const service of config.services) {
+            const name = service.name;
+            const first = seen.get(name);
+            if (first !== undefined) {
+                const identical = JSON.stringify(first) === JSON.stringify(service);
+                issues.push({problem: "duplicate", name, service, fix: "Remove duplicate",
+                    message: identical ? `Service ${name} is listed twice.`
+                        : `Service ${name} is listed twice with different settings, the first entry is kept.`});
+                continue;
+            }
+            seen.set(name, service);
+            if (!Config.isValidServiceName(name)) {
+                issues.push({problem: "name", name, service, fix: "Remove service", confirm: true,
+                    message: `Service name ${name} contains no domain, rename it to keep it.`});
+            }
+            const pattern = service.pattern ?? Patterns.defaultPattern;
+            if (Patterns.resolve(pattern, validPatterns) === undefined) {
+                issues.push({problem: "pattern", name, service,
+                    fix: `Use pattern ${Patterns.defaultPattern}, changing the password`,
+                    message: `Service ${name} uses the unknown pattern ${pattern}.`});
+            }
+            const required = Patterns.requiredAlgorithm(pattern, validPatterns);
+            if (service.algorithm !== undefined && service.algorithm !== 1 && service.algorithm !== 2) {
+                const algorithm = JSON.stringify(service.algorithm);
+                const repaired = Math.max(this.repairedAlgorithm(service.algorithm), required);
+                issues.push({problem: "algorithm", name, service, fix: `Set derivation algorithm to ${repaired}`,
+                    message: `Service ${name} has the unknown derivation algorithm ${algorithm}.`});
+            } else if ((service.algorithm ?? 1) < required) { // never derived, so the fix changes no password
+                issues.push({problem: "algorithm", name, service, fix: `Set derivation algorithm to ${required}`,
+                    message: `Service ${name} uses the pattern ${pattern}, which requires derivation algorithm `
+                        + `${required}.`});
+            }
+            for (const field of ["username", "url", "notes"]) {
+                const value = service[field];
+                if (value !== undefined && typeof value !== "string") {
+                    issues.push({problem: "field", name, service, field, fix: `Remove ${field}`,
+                        message: `Service ${name} has the ${field} ${JSON.stringify(value)}, which is no text.`});
+                }
+            }
+            for (const field of ["tags", "aliases"]) {
+                const value = service[field];
+                if (value !== undefined && !(Array.isArray(value) && value.every(item => typeof item === "string"))) {
+                    const list = normalizedList(value);
+                    issues.push({problem: "field", name, service, field,
+                        fix: list.length > 0 ? `Set ${field} to ${list.join(", ")}` : `Remove ${field}`,
+                        message: `Service ${name} has the ${field} ${JSON.stringify(value)}, `
+                            + "which is no list of texts."});
+                }
+            }
+            if (service.history !== undefined && !Array.isArray(service.history)) {
+                issues.push({problem: "field", name, service, field: "history",
+                    fix: "Remove history, making the password age unknown",
+                    message: `Service ${name} has a history which is no list.`});
+            }
+            if (service.iterations !== undefined && !this.isValidIterations(service.iterations)) {
+                const iterations = JSON.stringify(service.iterations);
+                const changing = effectiveIterations(service.iterations) === undefined ? ", changing the password" : "";
+                issues.push({problem: "iterations", name, service,
+                    fix: `Set iterations count to ${this.repairedIterations(service.iterations)}${changing}`,
+                    message: `Service ${name} has the invalid iterations count ${iterations}.`});
+            }
+        }
+        issues.push(...aliasCollisions(config.services));
+        return issues;
+    }
+
+    /**
+     * Applies the fix of an issue.
+     *
+     * @param {ConfigDocument} config config to repair
+     * @param {ConfigIssue} issue issue found by check()
+     */
+    static repair(config, issue) {
+        const service = issue.service;
+        switch (issue.problem) {
+            case "definition":
+                delete config.patterns[issue.name];
+                break;
+            case "duplicate":
+            case "name":
+                if (config.services.includes(service)) config.services.splice(config.services.indexOf(service), 1);
+                break;
+            case "alias":
+                service.aliases = service.aliases.filter(alias => alias !== issue.alias);
+                if (service.aliases.length === 0) delete service.aliases;
+                break;
+            case "pattern":
+                delete service.pattern;
+                break;
+            case "algorithm":
+                service.algorithm = Math.max(this.repairedAlgorithm(service.algorithm),
+                    Patterns.requiredAlgorithm(service.pattern ?? Patterns.defaultPattern, this.validPatterns(config)));
+                break;
+            case "iterations":
+                service.iterations = this.repairedIterations(service.iterations);
+                break;
+            case "field": {
+                const isList = issue.field === "tags" || issue.field === "aliases";
+                const list = isList ? normalizedList(service[issue.field]) : [];
+                if (list.length > 0) service[issue.field] = list;
+                else delete service[issue.field];
+                break;
+            }
+        }
+        Logger.info(`Repair config: ${issue.fix} (${issue.name})`);
+    }
+
+    /**
+     * Checks whether an iterations count is a positive integer.
+     *
+     * @param {*} iterations iterations count to check
+     * @returns {boolean} true, if valid
+     */
+    static isValidIterations(iterations) {
+        return Number.isInteger(iterations) && iterations >= 1;
+    }
+
+    /**
+     * Provides the derivation algorithm closest to an unknown one, e.g. 2 for the string "2". Passwords have never
+     * been derived with an unknown algorithm, so others default to the latest algorithm, which fits all patterns.
+     *
+     * @param {*} algorithm unknown derivation algorithm
+     * @returns {number} known derivation algorithm
+     */
+    static repairedAlgorithm(algorithm) {
+        const parsed = Number(algorithm);
+        return parsed === 1 || parsed === 2 ? parsed : Core.latestAlgorithm;
+    }
+
+    /**
+     * Provides the valid iterations count deriving the same password as an invalid one did before iterations counts
+     * were validated, e.g. 9003 for the string "3", or 1 if there is none.
+     *
+     * @param {*} iterations invalid iterations count
+     * @returns {number} valid iterations count
+     */
+    static repairedIterations(iterations) {
+        return effectiveIterations(iterations) ?? 1;
+    }
+
+    /**
+     * Provides the custom patterns passing validation.
+     *
+     * @param {ConfigDocument} config config to check
+     * @returns {Object<string, CustomPattern>} valid custom patterns by name
+     */
+    static validPatterns(config) {
+        return Object.fromEntries(Object.entries(config.patterns).filter(([name, definition]) =>
+            typeof definition === "object" && definition !== null && Patterns.validate(name, definition).length === 0));
+    }
+}
+
+/**
+ * Finds aliases colliding with the name or an alias of another service, which make the service found by the name
+ * ambiguous, e.g. after merging a service under a name another service has been renamed from. The first service
+ * keeps a shared alias.
+ *
+ * @param {Service[]} services services to check
+ * @returns {ConfigIssue[]} colliding aliases, each with the fix to remove it
+ */
+function aliasCollisions(services) {
+    const issues = [];
+    const names = new Map(services.map(service => [service.name, service]).reverse()); // the first of duplicates
+    const owners = new Map();
+    for (const service of services) {
+        if (names.get(service.name) !== service || !Array.isArray(service.aliases)) continue;
+        for (const alias of service.aliases) {
+            const owner = names.get(alias) ?? owners.get(alias);
+            if (owner !== undefined && owner !== service) {
+                const use = owner.name === alias ? "the name" : "an alias";
+                issues.push({problem: "alias", name: service.name, service, alias, fix: `Remove alias ${alias}`,
+                    message: `Alias ${alias} of service ${service.name} is ${use} of service ${owner.name} as well.`});
+            } else {
+                owners.set(alias, service);
+            }
+        }
+    }
+    return issues;
+}
+
+/**
+ * Computes the iterations count an invalid one has been applied with before iterations counts were validated. Passwords
+ * were derived with 1000 + iterations PBKDF2 iterations, which concatenates strings, e.g. 10003 for "3", and Web
+ * Crypto truncates fractions.
+ *
+ * @param {*} iterations invalid iterations count
+ * @returns {number|undefined} equivalent valid iterations count or undefined, if there is none
+ */
+function effectiveIterations(iterations) {
+    const applied = Math.floor(Number(1000 + (iterations ?? 1)));
+    return applied > 1000 && applied <= 0xffffffff ? applied - 1000 : undefined;
+}
+
+/**
+ * Converts tags or aliases of a wrong type to a list of texts, e.g. ["work", "private"] for "work, private".
+ *
+ * @param {*} value tags or aliases
+ * @returns {string[]} non-empty texts
+ */
+function normalizedList(value) {
+    const items = typeof value === "string" ? value.split(",") : Array.isArray(value) ? value : [];
+    return items.filter(item => typeof item === "string").map(item => item.trim()).filter(item => item !== "");
+}
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+import {createServer} from "node:http";
+import {createHash, timingSafeEqual} from "node:crypto";
+import {existsSync, readFileSync, renameSync, writeFileSync} from "node:fs";
+import Container from "../js/container.js";
+
+/**
+ * Companion sync server storing a single encrypted config. It answers GET, HEAD and PUT of /config.txt with entity tags
+ * and refuses to overwrite a config changed meanwhile by answering 412 Precondition Failed. PUT requires If-Match or
+ * If-None-Match and a body being a config container. All requests require the shared token as bearer token. The
+ * server only ever receives the encrypted config container.
+ *
+ * Environment: PORT (default 8080), CONFIG_FILE (default data/config.txt), ALLOW_ORIGIN origin of the Web application
+ * allowed to access the server (required), SYNC_TOKEN shared token of the Web applications (required).
+ */
+const port = parseInt(process.env.PORT ?? "8080", 10);
+const configFile = process.env.CONFIG_FILE ?? "data/config.txt";
+const allowOrigin = process.env.ALLOW_ORIGIN;
+const token = process.env.SYNC_TOKEN;
+const maxLength = 4 * 1024 * 1024;
+
+if (!allowOrigin || allowOrigin === "*") {
+    throw new Error("Set ALLOW_ORIGIN to the origin of the Web application, e.g. https://m41nk3y.example.org");
+}
+if (!token) throw new Error("Set SYNC_TOKEN to a shared token entered in the settings of the Web application");
+
+createServer(async (request, response) => {
+    response.setHeader("Access-Control-Allow-Origin", allowOrigin);
+    response.setHeader("Access-Control-Allow-Methods", "GET, HEAD, PUT, OPTIONS");
+    response.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, If-Match, If-None-Match");
+    response.setHeader("Access-Control-Expose-Headers", "ETag");
+    response.setHeader("Cache-Control", "no-store");
+
+    if (new URL(request.url, "http://localhost").pathname !== "/config.txt") return respond(response, 404);
+    if (request.method === "OPTIONS") return respond(response, 204); // preflight requests carry no credentials
+    if (!isAuthorized(request)) {
+        response.setHeader("WWW-Authenticate", "Bearer");
+        return respond(response, 401);
+    }
+    switch (request.method) {
+        case "GET":
+        case "HEAD": {
+            if (!existsSync(configFile)) return respond(response, 404);
+            const config = readFileSync(configFile);
+            response.setHeader("ETag", entityTag(config));
+            response.setHeader("Content-Type", "text/plain; charset=utf-8");
+            return respond(response, 200, request.method === "GET" ? config : undefined);
+        }
+        case "PUT": {
+            const ifMatch = request.headers["if-match"];
+            const ifNoneMatch = request.headers["if-none-match"];
+            if (ifMatch === undefined && ifNoneMatch === undefined) return respond(response, 428);
+            let body;
+            try {
+                body = await readBody(request);
+            } catch (error) {
+                return respond(response, 413);
+            }
+            try {
+                Container.parse(body.toString("utf8").trim().replace(/[\r\n]/g, ""));
+            } catch (error) {
+                return respond(response, 422);
+            }
+            // check and write synchronously, so concurrent requests cannot interleave
+            const current = existsSync(configFile) ? entityTag(readFileSync(configFile)) : null;
+            if ((ifMatch !== undefined && ifMatch !== "*" && ifMatch !== current)
+                || (ifMatch === "*" && current === null)
+                || (ifNoneMatch === "*" && current !== null)) {
+                return respond(response, 412);
+            }
+            const temporaryFile = `${configFile}.${process.pid}.tmp`;
+            writeFileSync(temporaryFile, body);
+            renameSync(temporaryFile, configFile); // atomically, so a crash cannot leave a truncated config
+            response.setHeader("ETag", entityTag(body));
+            console.info(`${new Date().toISOString()} config saved (${body.length} bytes)`);
+            return respond(response, current === null ? 201 : 204);
+        }
+        default:
+            response.setHeader("Allow", "GET, HEAD, PUT, OPTIONS");
+            return respond(response, 405);
+    }
+}).listen(port, () => console.info(`m41nk3y sync server listening on port ${port}, storing ${configFile}`));
+
+/**
+ * Checks whether a request states the shared token as bearer token, comparing in constant time.
+ *
+ * @param {IncomingMessage} request HTTP request
+ * @returns {boolean} true, if the token matches
+ */
+function isAuthorized(request) {
+    const expected = createHash("sha256").update(`Bearer ${token}`).digest();
+    const actual = createHash("sha256").update(request.headers["authorization"] ?? "").digest();
+    return timingSafeEqual(expected, actual);
+}
+
+/**
+ * Computes the entity tag of a config.
+ *
+ * @param {Buffer} config config file contents
+ * @returns {string} quoted SHA-256 hash
+ */
+function entityTag(config) {
+    return `"${createHash("sha256").update(config).digest("hex")}"`;
+}
+
+/**
+ * Reads a request body up to the maximum config length.
+ *
+ * @param {IncomingMessage} request HTTP request
+ * @returns {Promise<Buffer>} request body
+ * @throws {Error} if the body exceeds the maximum length
+ */
+async function readBody(request) {
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of request) {
+        length += chunk.length;
+        if (length > maxLength) throw new Error("Config too large");
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Ends a response.
+ *
+ * @param {ServerResponse} response HTTP response
+ * @param {number} status HTTP status code
+ * @param {Buffer} [body] response body
+ */
+function respond(response, status, body) {
+    response.statusCode = status;
+    response.end(body);
+}
@@ -1,24 +1,174 @@
-importScripts('https://storage.googleapis.com/workbox-cdn/releases/7.0.0/workbox-sw.js');
-
-if (workbox) {
-    workbox.setConfig({debug: false});
-
-    // TODO update resources to self-delivered paths
-    // register third-party resources
-    workbox.routing.registerRoute(
-        /^https:.+(?:popper|bootstrap|qrcode|fontawesome|gstatic).+(?:js|css|woff2)$/,
-        new workbox.strategies.NetworkFirst(),
-    );
-
-    workbox.routing.registerRoute(
-        new RegExp("^https://fonts.googleapis.com/css?family="),
-        new workbox.strategies.NetworkFirst(),
-    );
-
-    workbox.routing.registerRoute( // register in-app resources
-        /\.(?:css|txt|png|html|json|js|ico)$/,
-        new workbox.strategies.NetworkFirst()
-    );
-} else {
-    console.warn('workbox did not load');
+/**
+ * Service worker running the application offline without any third-party code. The assets of an application version
+ * are precached on installing into a cache of that version and served cache-first. Browsers install a new version
+ * once this script changes, so bump the version with every release, matching package.json. A new version waits until
+ * the user accepts the update, then replaces the previous version and deletes all other caches.
+ *
+ * Configs and the profile manifest below data/ change independently of the application. They are precached as well,
+ * served from the cache and revalidated in the background. Clients are notified when a newer config has been cached.
+ * Requests bypassing the HTTP cache, such as those of the sync server, are never answered from the cache.
+ */
+const manifest = {
+    version: "1.1.0",
+    assets: [
+        "./",
+        "index.html",
+        "manifest.json",
+        "bootstrap.js",
+        "bootstrap.css",
+        "qrcode.js",
+        "css/m41nk3y.css",
+        "css/fonts.css",
+        "css/material-symbols.woff2",
+        "css/roboto.ttf",
+        "gfx/m41nk3y-icon-192.png",
+        "gfx/m41nk3y-icon-512.png",
+        "js/autolock.js",
+        "js/changes.js",
+        "js/container.js",
+        "js/convert.js",
+        "js/core.js",
+        "js/derivationpool.js",
+        "js/derivationworker.js",
+        "js/domain.js",
+        "js/download.js",
+        "js/filter.js",
+        "js/localstore.js",
+        "js/logger.js",
+        "js/m41nk3y.js",
+        "js/paperbackup.js",
+        "js/patterns.js",
+        "js/profiles.js",
+        "js/rotation.js",
+        "js/secureclipboard.js",
+        "js/serviceconfig.js",
+        "js/settings.js",
+        "js/strength.js",
+        "js/sync.js",
+        "js/updates.js",
+        "js/util.js",
+        "js/validation.js",
+        "js/wordlist.js"
+    ]
+};
+
+const appCache = `m41nk3y-app-${manifest.version}`;
+const dataCache = "m41nk3y-data";
+const profileManifest = "data/profiles.json";
+const defaultConfig = "data/config.txt";
+
+self.addEventListener("install", event => {
+    event.waitUntil(Promise.all([precacheAssets(), precacheData()]));
+});
+
+self.addEventListener("activate", event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key !== appCache && key !== dataCache) // including Workbox caches of versions before 1.1.0
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener("message", event => {
+    if (event.data?.type === "m41nk3y:version") {
+        event.ports[0]?.postMessage({version: manifest.version});
+    } else if (event.data?.type === "m41nk3y:activate") {
+        self.skipWaiting(); // the user accepted the update
+    }
+});
+
+self.addEventListener("fetch", event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== "GET" || request.cache === "no-store" || url.origin !== self.location.origin) return;
+    if (isData(url)) {
+        event.respondWith(serveData(event));
+    } else {
+        event.respondWith(serveAsset(request));
+    }
+});
+
+/**
+ * Caches all assets of this version, loading them from the network bypassing the HTTP cache. Installing fails if any
+ * asset cannot be loaded, so a version is either cached completely or not at all.
+ *
+ * @returns {Promise<void>} promise fulfilled after caching
+ */
+async function precacheAssets() {
+    const cache = await caches.open(appCache);
+    await cache.addAll(manifest.assets.map(asset => new Request(asset, {cache: "reload"})));
+}
+
+/**
+ * Caches the profile manifest and the configs below data/ listed by it, or the default config without manifest.
+ * Configs which cannot be loaded are skipped, they are cached when loaded later.
+ *
+ * @returns {Promise<void>} promise fulfilled after caching
+ */
+async function precacheData() {
+    const cache = await caches.open(dataCache);
+    let configs = [defaultConfig];
+    try {
+        const response = await fetch(profileManifest, {cache: "no-cache"});
+        if (response.ok) {
+            await cache.put(profileManifest, response.clone());
+            configs = (await response.json()).map(profile => profile.config)
+                .filter(config => config && isData(new URL(config, self.location.href)));
+        }
+    } catch (error) {
+        console.info("No profile manifest to precache: " + error);
+    }
+    await Promise.allSettled(configs.map(async config => {
+        const response = await fetch(config, {cache: "no-cache"});
+        if (response.ok) await cache.put(config, response);
+    }));
+}
+
+/**
+ * Answers a request for an asset from the cache of this version, or from the network if not cached, e.g. a page
+ * requested with query parameters.
+ *
+ * @param {Request} request asset request
+ * @returns {Promise<Response>} cached or loaded response
+ */
+async function serveAsset(request) {
+    const cache = await caches.open(appCache);
+    return await cache.match(request, {ignoreSearch: request.mode === "navigate"}) ?? fetch(request);
+}
+
+/**
+ * Answers a request for a config or the profile manifest from the cache and revalidates it in the background. If the
+ * network provides a different version, it is cached and the clients are notified. Data not cached yet is loaded
+ * from the network.
+ *
+ * @param {FetchEvent} event fetch event of the request
+ * @returns {Promise<Response>} cached or loaded response
+ */
+async function serveData(event) {
+    const request = event.request;
+    const cache = await caches.open(dataCache);
+    const cached = await cache.match(request, {ignoreSearch: true});
+    const revalidation = fetch(request.url, {cache: "no-cache"}).then(async response => {
+        if (!response.ok) return response;
+        await cache.put(request.url, response.clone());
+        if (cached !== undefined && await cached.clone().text() !== await response.clone().text()) {
+            const clients = await self.clients.matchAll({type: "window"});
+            for (const client of clients) client.postMessage({type: "m41nk3y:data-updated", url: request.url});
+        }
+        return response;
+    });
+    if (cached === undefined) return revalidation;
+    event.waitUntil(revalidation.catch(error => console.info("Cannot revalidate " + request.url + ": " + error)));
+    return cached.clone();
+}
+
+/**
+ * Checks whether a URL addresses data below data/, such as configs and the profile manifest.
+ *
+ * @param {URL} url requested URL
+ * @returns {boolean} true, if the URL is below data/ of this application
+ */
+function isData(url) {
+    const dataUrl = new URL("data/", self.location.href);
+    return url.origin === dataUrl.origin && url.pathname.startsWith(dataUrl.pathname);
 }